@@ -0,0 +1,186 @@
+// Account profile selector and helpers shared by every page; the profile is sent as ?account=.
+const ACCOUNT_STORAGE_KEY = 'accountProfile';
+const accountSelector = document.getElementById('accountSelector');
+
+let accountProfiles = [];
+let defaultAccount = null;
+
+function currentAccount() {
+    return localStorage.getItem(ACCOUNT_STORAGE_KEY) || '';
+}
+
+// Add the selected account to a same-origin URL
+function accountUrl(url) {
+    const account = currentAccount();
+    if (!account) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}account=${encodeURIComponent(account)}`;
+}
+
+function setCurrentAccount(name) {
+    if (name === currentAccount()) return;
+    if (name) localStorage.setItem(ACCOUNT_STORAGE_KEY, name);
+    else localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+    renderAccountSelector();
+    window.dispatchEvent(new CustomEvent('accountchange', { detail: { account: name } }));
+}
+
+async function loadAccountProfiles() {
+    try {
+        const response = await fetch('/account-profiles');
+        const data = await response.json();
+        accountProfiles = data.profiles || [];
+        defaultAccount = data.defaultAccount;
+
+        // A profile deleted from another tab falls back to the .env account
+        if (currentAccount() && !accountProfiles.some(p => p.name === currentAccount())) setCurrentAccount('');
+        renderAccountSelector();
+    } catch (error) {
+        console.error('Error loading account profiles:', error);
+    }
+}
+
+function renderAccountSelector() {
+    const options = [`<option value="">${defaultAccount ? 'Default account (.env)' : 'Default account (not configured)'}</option>`]
+        .concat(accountProfiles.map(p => `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}</option>`));
+
+    accountSelector.innerHTML = `
+        <i class="fas fa-building text-gray-500 mr-2"></i>
+        <select id="accountSelect" class="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition">
+            ${options.join('')}
+        </select>
+        <button id="manageAccountsBtn" title="Manage account profiles" class="ml-2 px-3 py-2 text-gray-600 hover:text-indigo-600 transition">
+            <i class="fas fa-cog"></i>
+        </button>
+    `;
+    const select = document.getElementById('accountSelect');
+    select.value = currentAccount();
+    select.addEventListener('change', () => setCurrentAccount(select.value));
+    document.getElementById('manageAccountsBtn').addEventListener('click', showAccountManager);
+}
+
+// Shared by every page's scripts, which load after this one
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+// Modal to add, edit and delete account profiles
+function showAccountManager() {
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition';
+    const fields = [
+        ['apiKey', 'API Key', 'password'],
+        ['companyUuid', 'Company UUID'],
+        ['referredFromCompanyUuid', 'Referred From Company UUID'],
+        ['tags', 'Default Tags (comma-separated)'],
+        ['counsel', 'Counsel'],
+        ['feesplit', 'Fee Split'],
+        ['totalfee', 'Total Fee']
+    ];
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 rounded-t-2xl flex justify-between items-center">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-building mr-3"></i>Account Profiles</h2>
+                <button class="close-accounts text-white hover:text-gray-200 text-2xl"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="p-6 overflow-y-auto flex-1 space-y-6">
+                <div id="accountList" class="space-y-2"></div>
+                <form id="accountForm" class="grid grid-cols-1 md:grid-cols-2 gap-4 border-t pt-6">
+                    <div class="md:col-span-2">
+                        <label class="block text-sm font-semibold text-gray-700 mb-1">Profile Name</label>
+                        <input name="name" required class="${inputClass}" placeholder="e.g. Smith & Partners">
+                    </div>
+                    ${fields.map(([name, label, type]) => `
+                        <div>
+                            <label class="block text-sm font-semibold text-gray-700 mb-1">${label}</label>
+                            <input name="${name}" type="${type || 'text'}" autocomplete="off" class="${inputClass}">
+                        </div>
+                    `).join('')}
+                    <div class="md:col-span-2 flex justify-end gap-3">
+                        <button type="reset" class="bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition font-semibold text-sm">Clear</button>
+                        <button type="submit" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition font-semibold text-sm">
+                            <i class="fas fa-save mr-2"></i>Save Profile
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('#accountForm');
+    const renderList = () => {
+        modal.querySelector('#accountList').innerHTML = accountProfiles.length === 0
+            ? '<p class="text-gray-500 text-sm">No profiles yet. Requests use the account from .env.</p>'
+            : accountProfiles.map(p => `
+                <div class="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-lg px-4 py-3">
+                    <div>
+                        <p class="font-semibold text-gray-800">${escapeHtml(p.name)}</p>
+                        <p class="text-xs text-gray-500">Key ${escapeHtml(p.apiKey)}${p.companyUuid ? ` · Company ${escapeHtml(p.companyUuid)}` : ''}</p>
+                    </div>
+                    <div class="flex gap-2">
+                        <button data-edit="${escapeHtml(p.name)}" class="text-indigo-600 hover:text-indigo-800 text-sm font-semibold"><i class="fas fa-edit mr-1"></i>Edit</button>
+                        <button data-delete="${escapeHtml(p.name)}" class="text-red-600 hover:text-red-800 text-sm font-semibold"><i class="fas fa-trash mr-1"></i>Delete</button>
+                    </div>
+                </div>
+            `).join('');
+    };
+    renderList();
+
+    modal.querySelector('.close-accounts').addEventListener('click', () => modal.remove());
+
+    modal.querySelector('#accountList').addEventListener('click', async (e) => {
+        const editName = e.target.closest('[data-edit]')?.dataset.edit;
+        const deleteName = e.target.closest('[data-delete]')?.dataset.delete;
+
+        if (editName) {
+            const profile = accountProfiles.find(p => p.name === editName);
+            form.reset();
+            form.elements.name.value = profile.name;
+            fields.forEach(([name]) => {
+                if (name === 'apiKey') form.elements.apiKey.placeholder = `${profile.apiKey} (leave empty to keep)`;
+                else form.elements[name].value = name === 'tags' ? (profile.tags || []).join(', ') : profile[name] || '';
+            });
+        }
+
+        if (deleteName && confirm(`Delete account profile "${deleteName}"?`)) {
+            const response = await fetch(`/account-profiles/${encodeURIComponent(deleteName)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) return showNotification(data.message, 'error');
+
+            accountProfiles = accountProfiles.filter(p => p.name !== deleteName);
+            if (currentAccount() === deleteName) setCurrentAccount('');
+            renderAccountSelector();
+            renderList();
+            showNotification(data.message, 'success');
+        }
+    });
+
+    form.addEventListener('reset', () => { form.elements.apiKey.placeholder = ''; });
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const body = Object.fromEntries(new FormData(form));
+        const name = body.name.trim();
+        delete body.name;
+
+        const response = await fetch(`/account-profiles/${encodeURIComponent(name)}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) return showNotification(data.message, 'error');
+
+        accountProfiles = accountProfiles.filter(p => p.name !== data.name).concat(data)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        renderAccountSelector();
+        renderList();
+        form.reset();
+        showNotification(`Saved account profile ${data.name}`, 'success');
+    });
+}
+
+// The history page lists every account's imports and has no selector
+if (accountSelector) loadAccountProfiles();
@@ -9,9 +9,33 @@ const resultsCount = document.getElementById('resultsCount');
 const noResults = document.getElementById('noResults');
 const exportCsvBtn = document.getElementById('exportCsvBtn');
 const exportJsonBtn = document.getElementById('exportJsonBtn');
+const refreshReferenceBtn = document.getElementById('refreshReferenceBtn');
+const loadMoreBtn = document.getElementById('loadMoreBtn');
+const pageStatus = document.getElementById('pageStatus');
+const bulkAction = document.getElementById('bulkAction');
+const bulkValue = document.getElementById('bulkValue');
+const applyBulkBtn = document.getElementById('applyBulkBtn');
+const selectAllResults = document.getElementById('selectAllResults');
 
 let currentResults = [];
 
+// Paging state of the current search; nextCursor is null once the last page is loaded
+let currentQuery = null;
+let currentTags = '';
+let nextCursor = null;
+let totalCases = null;
+let loadingPage = false;
+
+// Cases picked for a bulk action, by UUID
+let selectedCases = new Set();
+let statusOptions = [];
+let portalStatuses = [];
+let referredFromCompanyUuid = null;
+let searchFields = {};
+
+// Tags are added by UUID or hash, as the server checks
+const TAG_UUID_PATTERN = /^([0-9a-f]{40}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
 // Event Listeners
 filterForm.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -20,14 +44,122 @@ filterForm.addEventListener('submit', async (e) => {
 
 clearBtn.addEventListener('click', () => {
     filterForm.reset();
+    updateSearchRanges();
     resultsSection.classList.add('hidden');
     noResults.classList.add('hidden');
     currentResults = [];
+    currentQuery = null;
+    nextCursor = null;
+    clearCaseSelection();
 });
 
 exportCsvBtn.addEventListener('click', () => exportToCSV(currentResults));
 exportJsonBtn.addEventListener('click', () => exportToJSON(currentResults));
 
+refreshReferenceBtn.addEventListener('click', async () => {
+    refreshReferenceBtn.disabled = true;
+    try {
+        const response = await fetch(accountUrl('/reference-data/refresh'), { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+        populateReferenceSelects(data);
+        showNotification('Litigation and status lists refreshed', 'success');
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+    } finally {
+        refreshReferenceBtn.disabled = false;
+    }
+});
+
+// Reference Data
+async function loadReferenceData() {
+    try {
+        const response = await fetch(accountUrl('/reference-data'));
+        if (!response.ok) throw new Error(`API Error: ${response.status}`);
+        populateReferenceSelects(await response.json());
+    } catch (error) {
+        console.error('Reference data error:', error);
+        showNotification('Error loading litigations and statuses', 'error');
+    }
+}
+
+// Replace the options of a multi-select, keeping what was selected
+function fillMultiSelect(select, options) {
+    const selected = getSelectedValues(select);
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        option.selected = selected.includes(String(value));
+        select.appendChild(option);
+    });
+}
+
+function getSelectedValues(select) {
+    return Array.from(select.selectedOptions).map(option => option.value);
+}
+
+function populateReferenceSelects(data) {
+    const toOptions = (items) => [...items]
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+        .map(item => ({ value: item.id, label: `${item.name} (${item.id})` }));
+
+    fillMultiSelect(document.getElementById('litigationIds'), toOptions(data.resources?.litigations || []));
+    fillMultiSelect(document.getElementById('statusIds'), toOptions(data.resources?.status || []));
+    statusOptions = toOptions(data.resources?.status || []);
+}
+
+// Query builder: filter values and search ranges come from the server
+async function loadCaseFilters() {
+    try {
+        const response = await fetch(accountUrl('/case-filters'));
+        if (!response.ok) throw new Error(`API Error: ${response.status}`);
+        const data = await response.json();
+
+        const toOptions = (values) => values.map(value => ({ value, label: formatKey(value) }));
+        fillMultiSelect(document.getElementById('states'), data.filters.states.values.map(value => ({ value, label: value })));
+        fillMultiSelect(document.getElementById('portalStatus'), toOptions(data.filters.portal_status.values));
+        fillMultiSelect(document.getElementById('referralStatus'), toOptions(data.filters.referral_status.values));
+
+        searchFields = data.searchFields;
+        portalStatuses = data.portalStatuses || [];
+        referredFromCompanyUuid = data.referredFromCompanyUuid;
+        updateSearchRanges();
+    } catch (error) {
+        console.error('Case filters error:', error);
+        showNotification('Error loading filter options', 'error');
+    }
+}
+
+function updateSearchRanges() {
+    const field = searchFields[document.getElementById('searchField').value];
+    const rangeSelect = document.getElementById('searchRange');
+    rangeSelect.innerHTML = (field?.ranges || ['EQUALS']).map(range => `<option value="${range}">${formatKey(range.toLowerCase().replace(/-/g, ' '))}</option>`).join('');
+    if (field?.ranges.includes('STARTS WITH') && document.getElementById('searchField').value === 'name') rangeSelect.value = 'STARTS WITH';
+    updateSearchValueState();
+}
+
+// EMPTY and FILLED do not take a value
+function updateSearchValueState() {
+    const searchValue = document.getElementById('searchValue');
+    searchValue.disabled = ['EMPTY', 'FILLED'].includes(document.getElementById('searchRange').value);
+    searchValue.classList.toggle('bg-gray-100', searchValue.disabled);
+}
+
+document.getElementById('searchField').addEventListener('change', updateSearchRanges);
+document.getElementById('searchRange').addEventListener('change', updateSearchValueState);
+
+// Litigations, statuses and cases all belong to the selected account
+window.addEventListener('accountchange', () => {
+    clearBtn.click();
+    loadReferenceData();
+    loadCaseFilters();
+});
+
+loadReferenceData();
+loadCaseFilters();
+
 // Formatting Helpers
 function formatKey(key) {
     return key.replace(/_/g, " ").replace(/\b\w/g, c => c.toUpperCase());
@@ -81,46 +213,50 @@ function renderObjectField(obj, depth = 0) {
     }).filter(Boolean).join('')}</ul>`;
 }
 
-// Date Parsing Helper
-function parseDate(dateString) {
-    if (!dateString) return null;
-    const [datePart, timePart] = dateString.split(" ");
-    const [year, month, day] = datePart.split("-");
-    const [hour, minute, second] = (timePart || "00:00:00").split(":");
-    return new Date(year, month - 1, day, hour, minute, second);
-}
-
 // Search & Filter
 async function searchCases() {
-    const inputs = {
-        litigationId: document.getElementById('litigationId').value.trim(),
-        statusId: document.getElementById('statusId').value.trim(),
-        firstName: document.getElementById('firstName').value.trim(),
-        lastName: document.getElementById('lastName').value.trim(),
-        email: document.getElementById('email').value.trim(),
-        phone: document.getElementById('phone').value.trim(),
-        dateFrom: document.getElementById('dateFrom').value,
-        dateTo: document.getElementById('dateTo').value,
-        tags: document.getElementById('tags').value.trim(),
-        limit: document.getElementById('limit').value
+    const tags = document.getElementById('tags').value.trim();
+
+    // Multi-value filters go with their include/exclude range
+    const params = new URLSearchParams();
+    const addList = (name, selectId, rangeName, rangeId) => {
+        const values = getSelectedValues(document.getElementById(selectId));
+        if (values.length === 0) return;
+        params.set(name, values.join(','));
+        if (rangeName) params.set(rangeName, document.getElementById(rangeId).value);
     };
+    addList('lit_ids', 'litigationIds', 'lit_range', 'litigationRange');
+    addList('status_ids', 'statusIds', 'status_range', 'statusRange');
+    addList('states', 'states', 'state_range', 'stateRange');
+    addList('portal_status', 'portalStatus', 'portal_status_range', 'portalStatusRange');
+    addList('referral_status', 'referralStatus');
+
+    const dates = { start_date: 'createdFrom', end_date: 'createdTo', injury_start_date: 'injuryFrom', injury_end_date: 'injuryTo' };
+    Object.entries(dates).forEach(([name, id]) => {
+        const value = document.getElementById(id).value;
+        if (value) params.set(name, value);
+    });
+
+    const searchValue = document.getElementById('searchValue');
+    if (searchValue.disabled || searchValue.value.trim()) {
+        params.set('search_field', document.getElementById('searchField').value);
+        params.set('search_range', document.getElementById('searchRange').value);
+        if (!searchValue.disabled) params.set('search_value', searchValue.value.trim());
+    }
 
-    const params = {};
-    if (inputs.litigationId) params.litigationId = inputs.litigationId;
-    if (inputs.statusId) params.statusId = inputs.statusId;
-    if (inputs.firstName) params.firstName = inputs.firstName;
-    if (inputs.lastName) params.lastName = inputs.lastName;
-    if (inputs.email) params.emailAddress = inputs.email;
-    if (inputs.phone) params.phoneNumber = inputs.phone;
-    if (inputs.dateFrom) params.createdAtStart = inputs.dateFrom;
-    if (inputs.dateTo) params.createdAtEnd = inputs.dateTo;
-    if (inputs.tags) params.tag = inputs.tags;
-    if (inputs.limit) params.limit = inputs.limit;
-
-    if (!Object.keys(params).some(k => k !== 'limit')) {
+    if ([...params.keys()].length === 0 && !tags) {
         showNotification('Please enter at least one search criteria', 'error');
         return;
     }
+    params.set('length', document.getElementById('pageSize').value);
+
+    currentQuery = params;
+    currentTags = tags;
+    currentResults = [];
+    nextCursor = null;
+    totalCases = null;
+    results.innerHTML = '';
+    clearCaseSelection();
 
     searchBtn.disabled = true;
     loading.classList.remove('hidden');
@@ -128,80 +264,100 @@ async function searchCases() {
     noResults.classList.add('hidden');
 
     try {
-        const response = await fetch(`/cases?${new URLSearchParams(params)}`);
-        if (!response.ok) throw new Error(`API Error: ${response.status}`);
+        await loadNextPage();
+    } finally {
+        searchBtn.disabled = false;
+        loading.classList.add('hidden');
+    }
+}
+
+// Fetch the next page of the current search and append it to the results
+async function loadNextPage() {
+    if (!currentQuery || loadingPage) return;
+    const query = currentQuery;
 
+    loadingPage = true;
+    loadMoreBtn.disabled = true;
+    pageStatus.textContent = 'Loading...';
+
+    try {
+        const params = new URLSearchParams(query);
+        if (nextCursor) params.set('cursor', nextCursor);
+
+        const response = await fetch(accountUrl(`/cases?${params}`));
         const data = await response.json();
-        currentResults = data.cases || [];
+        if (!response.ok) throw new Error(data.message || `API Error: ${response.status}`);
+
+        // A new search started while this page was loading
+        if (query !== currentQuery) return;
+
+        // Tags are not part of the API's filters
+        const pageCases = applyClientFilters(data.cases || [], currentTags);
+        const offset = currentResults.length;
+        currentResults = currentResults.concat(pageCases);
+        nextCursor = data.nextCursor;
+        totalCases = data.total;
 
-        // Client-side filtering
-        currentResults = applyClientFilters(currentResults, inputs);
+        appendResults(pageCases, offset);
+        updatePageStatus();
 
-        if (currentResults.length === 0) {
+        if (currentResults.length === 0 && !nextCursor) {
             noResults.classList.remove('hidden');
         } else {
-            displayResults(currentResults);
             resultsSection.classList.remove('hidden');
         }
     } catch (error) {
         console.error('Search error:', error);
         showNotification('Error: ' + error.message, 'error');
+        pageStatus.textContent = '';
     } finally {
-        searchBtn.disabled = false;
-        loading.classList.add('hidden');
+        loadingPage = false;
+        loadMoreBtn.disabled = false;
     }
+
+    // Pages the tag filter emptied do not move the scroll position, so keep going while the end is in view
+    if (query === currentQuery && nextCursor && isLoadMoreVisible()) loadNextPage();
 }
 
-function applyClientFilters(cases, inputs) {
+function applyClientFilters(cases, tags) {
     return cases.filter(c => {
-        if (inputs.firstName && !c.fname?.toLowerCase().includes(inputs.firstName.toLowerCase()) && 
-            !c.fname_injured?.toLowerCase().includes(inputs.firstName.toLowerCase())) return false;
-        
-        if (inputs.lastName && !c.lname?.toLowerCase().includes(inputs.lastName.toLowerCase()) && 
-            !c.lname_injured?.toLowerCase().includes(inputs.lastName.toLowerCase())) return false;
-        
-        if (inputs.email && c.email?.toLowerCase() !== inputs.email.toLowerCase()) return false;
-        
-        if (inputs.phone && !c.phone?.replace(/\D/g, '').includes(inputs.phone.replace(/\D/g, ''))) return false;
-        
-        if (inputs.litigationId && c.litigation_id != inputs.litigationId) return false;
-        
-        if (inputs.statusId && c.status_id != inputs.statusId) return false;
-        
-        if (inputs.dateFrom || inputs.dateTo) {
-            const caseDate = parseDate(c.created_date);
-            if (!caseDate) return false;
-            
-            if (inputs.dateFrom) {
-                const fromDate = new Date(inputs.dateFrom);
-                fromDate.setHours(0, 0, 0, 0);
-                if (caseDate < fromDate) return false;
-            }
-            
-            if (inputs.dateTo) {
-                const toDate = new Date(inputs.dateTo);
-                toDate.setHours(23, 59, 59, 999);
-                if (caseDate > toDate) return false;
-            }
-        }
-        
-        if (inputs.tags) {
-            const searchTags = inputs.tags.toLowerCase().split(',').map(t => t.trim());
+        if (tags) {
+            const searchTags = tags.toLowerCase().split(',').map(t => t.trim());
             const caseTags = c.tags?.map(t => (t.name || t).toLowerCase()) || [];
             if (!searchTags.some(st => caseTags.some(ct => ct.includes(st)))) return false;
         }
         
         return true;
-    }).slice(0, inputs.limit ? parseInt(inputs.limit) : undefined);
+    });
 }
 
+function updatePageStatus() {
+    const total = totalCases !== null ? ` of ${totalCases}` : '';
+    resultsCount.textContent = currentTags
+        ? `Showing ${currentResults.length} case${currentResults.length !== 1 ? 's' : ''} with matching tags (${totalCases ?? '?'} match the filters)`
+        : `Showing ${currentResults.length}${total} case${(totalCases ?? currentResults.length) !== 1 ? 's' : ''}`;
+    loadMoreBtn.classList.toggle('hidden', !nextCursor);
+    pageStatus.textContent = nextCursor ? '' : 'All results loaded';
+}
+
+function isLoadMoreVisible() {
+    return loadMoreBtn.getBoundingClientRect().top < window.innerHeight;
+}
+
+loadMoreBtn.addEventListener('click', loadNextPage);
+
+// Load the next page as the end of the list scrolls into view
+new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting) && nextCursor) loadNextPage();
+}, { rootMargin: '400px' }).observe(loadMoreBtn);
+
 // Display Functions
-function displayResults(cases) {
-    resultsCount.textContent = `Found ${cases.length} case${cases.length !== 1 ? 's' : ''}`;
-    
-    results.innerHTML = cases.map((c, i) => `
-        <div class="bg-gradient-to-r from-gray-50 to-white p-6 rounded-xl shadow-md hover:shadow-lg transition-all duration-300 border border-gray-200 slide-in" style="animation-delay: ${i * 0.05}s">
+// Add a page of cases to the list; offset is the index of the first one in currentResults
+function appendResults(cases, offset) {
+    results.insertAdjacentHTML('beforeend', cases.map((c, i) => `
+        <div data-uuid="${c.uuid}" class="case-card bg-gradient-to-r from-gray-50 to-white p-6 rounded-xl shadow-md hover:shadow-lg transition-all duration-300 border border-gray-200 slide-in" style="animation-delay: ${Math.min(i, 20) * 0.05}s">
             <div class="flex items-start justify-between mb-4">
+                <input type="checkbox" class="case-select w-5 h-5 text-indigo-600 rounded mt-1 mr-4" data-uuid="${c.uuid}" ${selectedCases.has(c.uuid) ? 'checked' : ''}>
                 <div class="flex-1">
                     <h3 class="text-xl font-bold text-gray-800 mb-2 flex items-center">
                         <i class="fas fa-folder-open text-indigo-600 mr-2"></i>
@@ -212,7 +368,7 @@ function displayResults(cases) {
                         ${c.litigation_name ? `<span class="px-3 py-1 bg-purple-100 text-purple-700 rounded-full text-sm font-semibold">Litigation: ${c.litigation_name}</span>` : ''}
                     </div>
                 </div>
-                <button onclick="viewDetails(${i})" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition font-semibold">
+                <button onclick="viewDetails(${offset + i})" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition font-semibold">
                     <i class="fas fa-eye mr-2"></i>Details
                 </button>
             </div>
@@ -236,17 +392,323 @@ function displayResults(cases) {
                 </div>
             ` : ''}
         </div>
-    `).join('');
+    `).join(''));
+}
+
+// Bulk Actions
+function clearCaseSelection() {
+    selectedCases = new Set();
+    selectAllResults.checked = false;
+    updateBulkBar();
+}
+
+function updateBulkBar() {
+    document.getElementById('selectedCasesCount').textContent = `${selectedCases.size} selected`;
+    applyBulkBtn.disabled = selectedCases.size === 0 || !bulkAction.value;
+}
+
+results.addEventListener('change', (e) => {
+    if (!e.target.classList.contains('case-select')) return;
+    if (e.target.checked) selectedCases.add(e.target.dataset.uuid);
+    else selectedCases.delete(e.target.dataset.uuid);
+    updateBulkBar();
+});
+
+selectAllResults.addEventListener('change', () => {
+    results.querySelectorAll('.case-select:not(:disabled)').forEach(cb => {
+        cb.checked = selectAllResults.checked;
+        if (cb.checked) selectedCases.add(cb.dataset.uuid);
+        else selectedCases.delete(cb.dataset.uuid);
+    });
+    updateBulkBar();
+});
+
+// Value input for the chosen action
+bulkAction.addEventListener('change', () => {
+    const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition';
+    const options = (items) => items.map(item => `<option value="${escapeHtml(item.value)}">${escapeHtml(item.label)}</option>`).join('');
+
+    if (bulkAction.value === 'status') {
+        bulkValue.innerHTML = `<select id="bulkValueInput" class="${selectClass}">${options(statusOptions)}</select>`;
+    } else if (bulkAction.value === 'portal_status') {
+        bulkValue.innerHTML = `<select id="bulkValueInput" class="${selectClass}">${options(portalStatuses.map(value => ({ value, label: formatKey(value) })))}</select>`;
+    } else if (['add-tags', 'remove-tags'].includes(bulkAction.value)) {
+        const placeholder = bulkAction.value === 'add-tags' ? 'Tag UUIDs, comma-separated' : 'Tag UUIDs or names, comma-separated';
+        bulkValue.innerHTML = `<input type="text" id="bulkValueInput" placeholder="${placeholder}" class="${selectClass}">`;
+    } else if (bulkAction.value === 'refer') {
+        bulkValue.innerHTML = `
+            <input type="text" id="referFromInput" value="${escapeHtml(referredFromCompanyUuid || '')}" placeholder="Referred from company UUID" class="${selectClass}">
+            <input type="text" id="referToInput" placeholder="Referred to company UUID" class="${selectClass}">
+        `;
+    } else {
+        bulkValue.innerHTML = '';
+    }
+    updateBulkBar();
+});
+
+function describeBulkAction(action, value) {
+    const valueInput = document.getElementById('bulkValueInput');
+    const label = valueInput?.tagName === 'SELECT' ? valueInput.selectedOptions[0]?.textContent : value;
+    return {
+        status: `Set status to ${label}`,
+        portal_status: `Set portal status to ${label}`,
+        'add-tags': `Add tags ${label}`,
+        'remove-tags': `Remove tags ${label}`,
+        refer: `Refer to company ${value?.referred_to_company_uuid}`,
+        archive: 'Archive'
+    }[action];
+}
+
+applyBulkBtn.addEventListener('click', () => {
+    const action = bulkAction.value;
+    const value = action === 'refer'
+        ? { referred_from_company_uuid: document.getElementById('referFromInput').value.trim(), referred_to_company_uuid: document.getElementById('referToInput').value.trim() }
+        : document.getElementById('bulkValueInput')?.value.trim() ?? null;
+    if (action === 'refer' && (!value.referred_from_company_uuid || !value.referred_to_company_uuid)) return showNotification('Enter both company UUIDs', 'error');
+    if (!['archive', 'refer'].includes(action) && !value) return showNotification('Choose a value for this action', 'error');
+    if (action === 'add-tags') {
+        const invalid = value.split(',').map(tag => tag.trim()).filter(tag => tag && !TAG_UUID_PATTERN.test(tag));
+        if (invalid.length > 0) return showNotification(`Not a tag UUID: ${invalid.join(', ')}`, 'error');
+    }
+
+    const cases = currentResults.filter(c => selectedCases.has(c.uuid));
+    confirmBulkAction(action, value, cases);
+});
+
+// Show exactly which cases will change before anything is sent
+function confirmBulkAction(action, value, cases) {
+    const description = describeBulkAction(action, value);
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r ${action === 'archive' ? 'from-red-600 to-pink-600' : 'from-indigo-600 to-purple-600'} p-6 rounded-t-2xl">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-exclamation-triangle mr-3"></i>${escapeHtml(description)}: ${cases.length} case${cases.length !== 1 ? 's' : ''}</h2>
+            </div>
+            <div class="p-6 overflow-y-auto flex-1">
+                <table class="min-w-full text-sm">
+                    <thead class="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Case ID</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">${action === 'refer' ? 'Referral' : 'Current Status'}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${cases.map(c => `
+                            <tr class="border-b">
+                                <td class="px-4 py-2 font-medium text-gray-900">${escapeHtml(c.case_id)}</td>
+                                <td class="px-4 py-2 text-gray-700">${escapeHtml(c.name)}</td>
+                                <td class="px-4 py-2 text-gray-700">${escapeHtml(action === 'portal_status' ? c.portal_status : action === 'refer' ? c.referral_status || 'Not referred' : c.status_name)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="p-6 border-t flex justify-end gap-3">
+                <button class="cancel-bulk bg-gray-200 text-gray-700 px-6 py-3 rounded-lg hover:bg-gray-300 transition font-semibold">Cancel</button>
+                <button class="confirm-bulk ${action === 'archive' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'} text-white px-6 py-3 rounded-lg transition font-semibold disabled:bg-gray-400">
+                    <i class="fas fa-check mr-2"></i>Confirm
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector('.cancel-bulk').addEventListener('click', () => modal.remove());
+    modal.querySelector('.confirm-bulk').addEventListener('click', async (e) => {
+        e.currentTarget.disabled = true;
+        e.currentTarget.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Applying...';
+        try {
+            const data = await runBulkAction(action, value, cases.map(c => c.uuid));
+            modal.remove();
+            showBulkResults(description, data, cases);
+        } catch (error) {
+            modal.remove();
+            showNotification('Error: ' + error.message, 'error');
+        }
+    });
+}
+
+async function runBulkAction(action, value, uuids) {
+    const response = await fetch(accountUrl('/cases/bulk'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, value, uuids })
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message);
+    return data;
+}
+
+function showBulkResults(description, data, cases) {
+    const byUuid = new Map(cases.map(c => [c.uuid, c]));
+    const badges = { updated: 'bg-green-100 text-green-800', referred: 'bg-green-100 text-green-800', archived: 'bg-gray-200 text-gray-800', unchanged: 'bg-blue-100 text-blue-800', failed: 'bg-red-100 text-red-800' };
+
+    // Archived cases stay listed but can no longer be selected
+    data.results.filter(r => r.status === 'archived').forEach(r => {
+        const card = results.querySelector(`.case-card[data-uuid="${CSS.escape(r.uuid)}"]`);
+        card?.classList.add('opacity-50');
+        const checkbox = card?.querySelector('.case-select');
+        if (checkbox) {
+            checkbox.checked = false;
+            checkbox.disabled = true;
+        }
+        selectedCases.delete(r.uuid);
+    });
+    updateBulkBar();
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r from-green-600 to-teal-600 p-6 rounded-t-2xl">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-clipboard-check mr-3"></i>${escapeHtml(description)}</h2>
+                <p class="text-green-100 mt-1">${data.succeeded} succeeded, ${data.failed} failed</p>
+            </div>
+            <div class="p-6 overflow-y-auto flex-1">
+                <table class="min-w-full text-sm">
+                    <thead class="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Case</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Result</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.results.map(r => `
+                            <tr class="border-b">
+                                <td class="px-4 py-2 text-gray-900">${escapeHtml(byUuid.get(r.uuid)?.name || r.uuid)}</td>
+                                <td class="px-4 py-2"><span class="px-2 py-1 rounded text-xs font-semibold ${badges[r.status] || ''}">${r.status}</span></td>
+                                <td class="px-4 py-2 text-gray-700">${escapeHtml(r.error || (r.changed ? r.changed.join(', ') : ''))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="p-6 border-t flex justify-end">
+                <button onclick="this.closest('.fixed').remove()" class="bg-indigo-600 text-white px-6 py-3 rounded-lg hover:bg-indigo-700 transition font-semibold">
+                    <i class="fas fa-check mr-2"></i>Close
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+function renderCaseFields(c) {
+    return `<div class="space-y-4">${Object.entries(c).map(([key, value]) => {
+        if (shouldHideValue(value) || ['notes', 'conversation'].includes(key)) return '';
+        
+        let displayValue;
+        if (['documents', 'conditions', 'information', 'tags'].includes(key)) {
+            displayValue = renderArrayField(value, key);
+        } else if (key === 'meta' || key === 'external_data') {
+            displayValue = renderObjectField(value);
+        } else if (Array.isArray(value)) {
+            displayValue = renderArrayField(value, key);
+        } else if (typeof value === 'object' && value !== null) {
+            displayValue = renderObjectField(value);
+        } else {
+            displayValue = formatValue(value);
+        }
+
+        return `
+            <div class="border-b border-gray-200 pb-3">
+                <div class="text-sm font-semibold text-gray-600 mb-1">${formatKey(key)}</div>
+                <div class="text-gray-800">${displayValue}</div>
+            </div>
+        `;
+    }).join('')}</div>`;
+}
+
+function renderNotes(notes) {
+    if (!notes?.length) return '<p class="text-gray-500 text-center py-8">No notes on this case</p>';
+
+    return `<div class="space-y-4">${notes.map(n => {
+        // Note descriptions are HTML from the dashboard editor; show them as plain text
+        const description = new DOMParser().parseFromString(n.description || '', 'text/html').body.textContent;
+        return `
+            <div class="border border-gray-200 rounded-lg p-4">
+                <div class="flex items-start justify-between gap-4 mb-2">
+                    <h4 class="font-semibold text-gray-800">${escapeHtml(n.title || 'Untitled note')}</h4>
+                    <span class="text-xs text-gray-500 whitespace-nowrap">${escapeHtml(n.created_date)}</span>
+                </div>
+                <div class="flex flex-wrap gap-2 mb-2">
+                    ${n.note_type ? `<span class="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs font-semibold">${escapeHtml(n.note_type)}</span>` : ''}
+                    ${n.note_status ? `<span class="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs">${escapeHtml(n.note_status)}</span>` : ''}
+                </div>
+                ${description ? `<p class="text-gray-700 text-sm whitespace-pre-line">${escapeHtml(description)}</p>` : ''}
+                ${n.fname || n.lname ? `<p class="text-xs text-gray-500 mt-2"><i class="fas fa-user mr-1"></i>${escapeHtml([n.fname, n.lname].filter(Boolean).join(' '))}</p>` : ''}
+            </div>
+        `;
+    }).join('')}</div>`;
+}
+
+// msg_type 0 is the bot, 1 is the client
+function renderConversation(messages) {
+    if (!messages?.length) return '<p class="text-gray-500 text-center py-8">No conversation on this case</p>';
+
+    return `<div class="space-y-3">${messages.map(m => {
+        const fromClient = String(m.msg_type) === '1';
+        return `
+            <div class="flex ${fromClient ? 'justify-end' : 'justify-start'}">
+                <div class="max-w-[75%] px-4 py-2 rounded-2xl ${fromClient ? 'bg-indigo-600 text-white rounded-br-sm' : 'bg-gray-100 text-gray-800 rounded-bl-sm'}">
+                    <p class="text-sm whitespace-pre-line">${escapeHtml(m.message)}</p>
+                    <p class="text-xs mt-1 ${fromClient ? 'text-indigo-200' : 'text-gray-500'}">${escapeHtml(m.timestamp)}</p>
+                </div>
+            </div>
+        `;
+    }).join('')}</div>`;
+}
+
+function renderDocuments(c) {
+    const uuid = encodeURIComponent(c.uuid);
+    const documents = c.documents || [];
+
+    return `
+        <div class="flex items-center justify-between mb-4">
+            <p class="text-gray-600">${documents.length} document${documents.length !== 1 ? 's' : ''}</p>
+            <a href="${accountUrl(`/cases/${uuid}/documents`)}" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition font-semibold text-sm">
+                <i class="fas fa-file-archive mr-2"></i>Download Completed (ZIP)
+            </a>
+        </div>
+        ${documents.length ? `<div class="divide-y divide-gray-200 border border-gray-200 rounded-lg">${documents.map(d => `
+            <div class="flex items-center justify-between p-4">
+                <div>
+                    <p class="font-semibold text-gray-800"><i class="fas fa-file-pdf text-red-500 mr-2"></i>${escapeHtml(formatKey(d.template_type || 'document'))}</p>
+                    <p class="text-xs text-gray-500 mt-1">${escapeHtml(d.status)}</p>
+                </div>
+                <a href="${accountUrl(`/cases/${uuid}/documents/${encodeURIComponent(d.document_id)}`)}" class="text-indigo-600 hover:text-indigo-800 font-semibold text-sm">
+                    <i class="fas fa-download mr-1"></i>Download
+                </a>
+            </div>
+        `).join('')}</div>` : '<p class="text-gray-500 text-center py-8">No documents on this case</p>'}
+    `;
+}
+
+async function fetchCaseResource(url) {
+    const response = await fetch(accountUrl(url));
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || data.message);
+    return data.data;
 }
 
 function viewDetails(index) {
     const c = currentResults[index];
+    const uuid = encodeURIComponent(c.uuid);
+    const tabs = { details: 'Details', notes: 'Notes', conversation: 'Conversation', documents: 'Documents' };
+
+    // Starts with the list fields; the full record, notes and conversation load as they are needed
+    const state = { details: c, notes: null, conversation: null };
+    const loading = new Set();
+    let activeTab = 'details';
     
     const modal = document.createElement('div');
     modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
     modal.innerHTML = `
-        <div class="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
-            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 flex items-center justify-between">
+        <div class="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 flex items-center justify-between rounded-t-2xl">
                 <h2 class="text-2xl font-bold text-white">
                     <i class="fas fa-info-circle mr-3"></i>Case Details: ${c.name || 'Case ' + c.case_id}
                 </h2>
@@ -254,32 +716,13 @@ function viewDetails(index) {
                     <i class="fas fa-times text-2xl"></i>
                 </button>
             </div>
-            <div class="p-8">
-                <div class="space-y-4">
-                    ${Object.entries(c).map(([key, value]) => {
-                        if (shouldHideValue(value)) return '';
-                        
-                        let displayValue;
-                        if (['documents', 'conditions', 'information', 'tags'].includes(key)) {
-                            displayValue = renderArrayField(value, key);
-                        } else if (key === 'meta' || key === 'external_data') {
-                            displayValue = renderObjectField(value);
-                        } else if (Array.isArray(value)) {
-                            displayValue = renderArrayField(value, key);
-                        } else if (typeof value === 'object' && value !== null) {
-                            displayValue = renderObjectField(value);
-                        } else {
-                            displayValue = formatValue(value);
-                        }
-
-                        return `
-                            <div class="border-b border-gray-200 pb-3">
-                                <div class="text-sm font-semibold text-gray-600 mb-1">${formatKey(key)}</div>
-                                <div class="text-gray-800">${displayValue}</div>
-                            </div>
-                        `;
-                    }).join('')}
-                </div>
+            <div class="flex border-b border-gray-200 px-8">
+                ${Object.entries(tabs).map(([tab, label]) => `
+                    <button data-tab="${tab}" class="case-tab px-4 py-3 font-semibold border-b-2 border-transparent text-gray-600 hover:text-indigo-600 transition">${label}</button>
+                `).join('')}
+            </div>
+            <div class="p-8 overflow-y-auto flex-1">
+                <div class="case-tab-content"></div>
                 <div class="mt-6 flex justify-end gap-3">
                     <button onclick="exportSingleCase(${index})" class="bg-green-600 text-white px-6 py-3 rounded-lg hover:bg-green-700 transition font-semibold">
                         <i class="fas fa-download mr-2"></i>Export This Case
@@ -292,6 +735,54 @@ function viewDetails(index) {
         </div>
     `;
     document.body.appendChild(modal);
+
+    const content = modal.querySelector('.case-tab-content');
+    const loadingHtml = '<p class="text-gray-500 text-center py-8"><i class="fas fa-spinner fa-spin mr-2"></i>Loading...</p>';
+
+    const render = () => {
+        modal.querySelectorAll('.case-tab').forEach(btn => {
+            const active = btn.dataset.tab === activeTab;
+            btn.classList.toggle('border-indigo-600', active);
+            btn.classList.toggle('text-indigo-600', active);
+            btn.classList.toggle('border-transparent', !active);
+        });
+
+        if (activeTab === 'details') content.innerHTML = renderCaseFields(state.details);
+        else if (activeTab === 'documents') content.innerHTML = renderDocuments({ ...c, ...state.details });
+        else if (state[activeTab] === null) content.innerHTML = loadingHtml;
+        else content.innerHTML = activeTab === 'notes' ? renderNotes(state.notes) : renderConversation(state.conversation);
+    };
+
+    const load = async (tab) => {
+        loading.add(tab);
+        try {
+            state[tab] = await fetchCaseResource(`/cases/${uuid}/${tab}`);
+        } catch (error) {
+            state[tab] = [];
+            showNotification(`Error loading ${tabs[tab].toLowerCase()}: ${error.message}`, 'error');
+        }
+        loading.delete(tab);
+        if (activeTab === tab) render();
+    };
+
+    modal.querySelectorAll('.case-tab').forEach(btn => btn.addEventListener('click', () => {
+        activeTab = btn.dataset.tab;
+        if (['notes', 'conversation'].includes(activeTab) && state[activeTab] === null && !loading.has(activeTab)) {
+            load(activeTab);
+        }
+        render();
+    }));
+
+    render();
+
+    // The nested record already carries notes and conversation when the API includes them
+    fetchCaseResource(`/cases/${uuid}`).then(detail => {
+        if (!detail) return;
+        state.details = { ...c, ...detail };
+        if (Array.isArray(detail.notes) && state.notes === null) state.notes = detail.notes;
+        if (Array.isArray(detail.conversation) && state.conversation === null) state.conversation = detail.conversation;
+        render();
+    }).catch(error => showNotification('Error loading full case: ' + error.message, 'error'));
 }
 
 // Export Functions
@@ -338,7 +829,7 @@ function downloadFile(content, type, filename) {
 function showNotification(message, type) {
     const n = document.createElement('div');
     n.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg ${type === 'error' ? 'bg-red-500' : 'bg-green-500'} text-white z-50 slide-in`;
-    n.innerHTML = `<i class="fas ${type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'} mr-2"></i>${message}`;
+    n.innerHTML = `<i class="fas ${type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'} mr-2"></i>${escapeHtml(message)}`;
     document.body.appendChild(n);
     setTimeout(() => n.remove(), 3000);
 }
\ No newline at end of file
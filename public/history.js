@@ -0,0 +1,373 @@
+// DOM Elements
+const historyForm = document.getElementById('historyForm');
+const historyRows = document.getElementById('historyRows');
+const historyCount = document.getElementById('historyCount');
+const noHistory = document.getElementById('noHistory');
+const moreHistoryBtn = document.getElementById('moreHistoryBtn');
+
+// Imports shown so far and the query they came from
+let imports = [];
+let historyQuery = '';
+let totalImports = 0;
+
+const STATUS_BADGES = {
+    completed: 'bg-green-100 text-green-800',
+    running: 'bg-blue-100 text-blue-800',
+    queued: 'bg-blue-100 text-blue-800',
+    failed: 'bg-red-100 text-red-800',
+    interrupted: 'bg-yellow-100 text-yellow-800'
+};
+
+const ROW_BADGES = {
+    created: 'bg-green-100 text-green-800',
+    updated: 'bg-blue-100 text-blue-800',
+    unchanged: 'bg-gray-100 text-gray-800',
+    skipped: 'bg-yellow-100 text-yellow-800',
+    failed: 'bg-red-100 text-red-800'
+};
+
+// Event Listeners
+historyForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchHistory();
+});
+
+document.getElementById('clearHistoryBtn').addEventListener('click', () => {
+    historyForm.reset();
+    searchHistory();
+});
+
+moreHistoryBtn.addEventListener('click', () => loadHistoryPage());
+
+historyRows.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-id]');
+    if (row) showImportDetails(row.dataset.id);
+});
+
+// Search
+function searchHistory() {
+    const params = new URLSearchParams();
+    const add = (name, id) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.append(name, value);
+    };
+    add('q', 'historyQuery');
+    add('case', 'historyCase');
+    add('from', 'historyFrom');
+    add('to', 'historyTo');
+
+    historyQuery = params.toString();
+    imports = [];
+    historyRows.innerHTML = '';
+    loadHistoryPage();
+}
+
+async function loadHistoryPage() {
+    moreHistoryBtn.disabled = true;
+    try {
+        const response = await fetch(`/import-history?${historyQuery}${historyQuery ? '&' : ''}offset=${imports.length}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+
+        totalImports = data.total;
+        imports = imports.concat(data.imports);
+        historyRows.insertAdjacentHTML('beforeend', data.imports.map(renderImportRow).join(''));
+
+        historyCount.textContent = `${totalImports} import${totalImports !== 1 ? 's' : ''}`;
+        noHistory.classList.toggle('hidden', totalImports > 0);
+        moreHistoryBtn.classList.toggle('hidden', imports.length >= totalImports);
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+    } finally {
+        moreHistoryBtn.disabled = false;
+    }
+}
+
+function renderImportRow(item) {
+    return `
+        <tr data-id="${escapeHtml(item.id)}" class="border-b hover:bg-indigo-50 cursor-pointer transition slide-in">
+            <td class="px-4 py-3 text-gray-700 whitespace-nowrap">${formatDateTime(item.startedAt || item.createdAt)}</td>
+            <td class="px-4 py-3 font-medium text-gray-900">${escapeHtml(item.fileName || 'Unnamed import')}</td>
+            <td class="px-4 py-3 text-gray-700">${escapeHtml(item.operator || '—')}</td>
+            <td class="px-4 py-3 text-gray-700">${escapeHtml(item.account || 'Default')}</td>
+            <td class="px-4 py-3 text-gray-700">${escapeHtml(item.mode)}</td>
+            <td class="px-4 py-3">
+                <span class="px-2 py-1 rounded text-xs font-semibold ${STATUS_BADGES[item.status] || ''}">${escapeHtml(item.status)}</span>
+                ${item.rollback ? `<span class="ml-1 px-2 py-1 rounded text-xs font-semibold bg-gray-200 text-gray-800">${escapeHtml(item.rollback.status)}</span>` : ''}
+            </td>
+            <td class="px-4 py-3 text-gray-700 whitespace-nowrap">${renderCounts(item)}</td>
+        </tr>
+    `;
+}
+
+function renderCounts(item) {
+    return [
+        ['succeeded', 'created', 'text-green-700'],
+        ['updated', 'updated', 'text-blue-700'],
+        ['skipped', 'skipped', 'text-yellow-700'],
+        ['failed', 'failed', 'text-red-700']
+    ].filter(([key]) => item[key] > 0)
+        .map(([key, label, color]) => `<span class="${color} mr-2">${item[key]} ${label}</span>`)
+        .join('') || `<span class="text-gray-500">${item.total} rows</span>`;
+}
+
+// Details
+async function showImportDetails(id) {
+    try {
+        const response = await fetch(`/import-history/${encodeURIComponent(id)}`);
+        const record = await response.json();
+        if (!response.ok) throw new Error(record.message);
+
+        const summary = [
+            ['Import ID', record.id],
+            ['File', record.fileName],
+            ['Operator', record.operator],
+            ['Client IP', record.clientIp],
+            ['Account', record.account || 'Default (.env)'],
+            ['Mapping Profile', record.mappingProfile],
+            ['Mode', record.mode],
+            ['Status', record.status],
+            ['Started', formatDateTime(record.startedAt || record.createdAt)],
+            ['Finished', formatDateTime(record.finishedAt)]
+        ];
+
+        const modal = document.createElement('div');
+        modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+        modal.innerHTML = `
+            <div class="bg-white rounded-2xl shadow-2xl max-w-6xl w-full max-h-[90vh] flex flex-col">
+                <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 rounded-t-2xl flex justify-between items-center">
+                    <div>
+                        <h2 class="text-2xl font-bold text-white"><i class="fas fa-file-import mr-3"></i>${escapeHtml(record.fileName || 'Unnamed import')}</h2>
+                        <p class="text-indigo-100 mt-1">${escapeHtml(record.message || '')}</p>
+                    </div>
+                    <div class="flex items-center gap-4">
+                        ${record.rows.some(r => r.status === 'created') ? `
+                            <button class="rollback-btn bg-white text-red-600 px-4 py-2 rounded-lg hover:bg-red-50 transition font-semibold text-sm">
+                                <i class="fas fa-undo mr-2"></i>Roll Back
+                            </button>
+                        ` : ''}
+                        <button onclick="this.closest('.fixed').remove()" class="text-white hover:text-gray-200 text-2xl"><i class="fas fa-times"></i></button>
+                    </div>
+                </div>
+                <div class="p-6 overflow-y-auto flex-1 space-y-6">
+                    <div class="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        ${summary.map(([label, value]) => `
+                            <div class="bg-gray-50 p-3 rounded-lg">
+                                <div class="text-xs font-semibold text-gray-500 uppercase">${label}</div>
+                                <div class="text-sm text-gray-800 break-all">${escapeHtml(value || '—')}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${record.failures.length > 0 ? `
+                        <div class="bg-red-50 border border-red-200 rounded-lg p-4">
+                            <div class="flex items-center justify-between mb-2">
+                                <h3 class="font-semibold text-red-800"><i class="fas fa-exclamation-triangle mr-2"></i>Failures (${record.failures.length})</h3>
+                                ${record.rows.some(r => r.status === 'failed') ? `
+                                    <a href="/import-history/${encodeURIComponent(record.id)}/failures.csv" class="text-red-700 hover:text-red-900 text-sm font-semibold">
+                                        <i class="fas fa-download mr-1"></i>Download Failed Rows
+                                    </a>
+                                ` : ''}
+                            </div>
+                            <ul class="text-sm text-red-700 space-y-1 max-h-40 overflow-y-auto">
+                                ${record.failures.map(f => `<li><strong>${f.line ? `Line ${f.line}` : `Row ${f.row}`}:</strong> ${escapeHtml(f.error)}</li>`).join('')}
+                            </ul>
+                        </div>
+                    ` : ''}
+                    ${record.retryOf || record.retries.length > 0 ? renderRetries(record) : ''}
+                    ${record.rollbacks.length > 0 ? renderRollbacks(record.rollbacks) : ''}
+                    ${record.rows.length > 0 ? renderHistoryRows(record.rows) : '<p class="text-gray-500 text-center py-6">Row details are saved when the import finishes.</p>'}
+                </div>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('[data-import]').forEach(link => link.addEventListener('click', () => {
+            modal.remove();
+            showImportDetails(link.dataset.import);
+        }));
+
+        modal.querySelector('.rollback-btn')?.addEventListener('click', () => {
+            modal.remove();
+            previewRollback(record.id);
+        });
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+    }
+}
+
+// Links between an import and the imports of its failure report
+function renderRetries(record) {
+    const link = (id, label) => `<button data-import="${escapeHtml(id)}" class="text-indigo-600 hover:text-indigo-800 font-semibold underline">${escapeHtml(label)}</button>`;
+    return `
+        <div class="bg-indigo-50 border border-indigo-200 rounded-lg p-4 text-sm text-gray-700 space-y-1">
+            ${record.retryOf ? `<p><i class="fas fa-redo mr-2 text-indigo-600"></i>Retry of the failed rows of ${link(record.retryOf, 'an earlier import')}</p>` : ''}
+            ${record.retries.map(retry => `
+                <p><i class="fas fa-redo mr-2 text-indigo-600"></i>Failed rows retried on ${formatDateTime(retry.createdAt)} in ${link(retry.id, retry.fileName || 'Unnamed import')}</p>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderRollbacks(rollbacks) {
+    return `
+        <div class="bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <h3 class="font-semibold text-gray-800 mb-2"><i class="fas fa-undo mr-2"></i>Rollbacks</h3>
+            <ul class="text-sm text-gray-700 space-y-1">
+                ${rollbacks.map(r => `
+                    <li>${formatDateTime(r.at)}${r.operator ? ` by ${escapeHtml(r.operator)}` : ''}: ${r.archived} archived${r.failed ? `, <span class="text-red-700">${r.failed} failed</span>` : ''}</li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// Rollback
+async function previewRollback(id) {
+    try {
+        const response = await fetch(`/import-history/${encodeURIComponent(id)}/rollback`);
+        const plan = await response.json();
+        if (!response.ok) throw new Error(plan.message);
+
+        if (plan.pending.length === 0) {
+            showNotification('Every case of this import is already archived', 'success');
+            return;
+        }
+        showRollbackModal(id, plan);
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+    }
+}
+
+// Confirm the cases to archive; after a partial rollback the same modal retries the rest
+function showRollbackModal(id, plan) {
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r from-red-600 to-pink-600 p-6 rounded-t-2xl">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-undo mr-3"></i>Archive ${plan.pending.length} case${plan.pending.length !== 1 ? 's' : ''}</h2>
+                <p class="text-red-100 mt-1">Cases this import created are archived with DELETE /cases/{uuid}. Updated cases are left as they are.</p>
+            </div>
+            <div class="p-6 overflow-y-auto flex-1 space-y-4">
+                ${plan.archived.length > 0 ? `<p class="text-sm text-gray-600"><i class="fas fa-check mr-2 text-green-600"></i>${plan.archived.length} case${plan.archived.length !== 1 ? 's were' : ' was'} already archived by an earlier rollback.</p>` : ''}
+                ${plan.missingUuid.length > 0 ? `<p class="text-sm text-yellow-700"><i class="fas fa-exclamation-triangle mr-2"></i>${plan.missingUuid.length} created row${plan.missingUuid.length !== 1 ? 's have' : ' has'} no case UUID and must be archived in the dashboard (rows ${plan.missingUuid.map(c => c.row).join(', ')}).</p>` : ''}
+                <table class="min-w-full text-sm">
+                    <thead class="bg-gray-100 sticky top-0">
+                        <tr>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Row</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Name</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Case UUID</th>
+                            <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${plan.pending.map(c => `
+                            <tr class="border-b" data-uuid="${escapeHtml(c.uuid)}">
+                                <td class="px-4 py-2 text-gray-900">${c.row}</td>
+                                <td class="px-4 py-2 text-gray-700">${escapeHtml(c.name || '—')}</td>
+                                <td class="px-4 py-2 font-mono text-xs text-gray-700 break-all">${escapeHtml(c.uuid)}</td>
+                                <td class="rollback-result px-4 py-2"></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="p-6 border-t flex justify-end gap-3">
+                <button class="close-rollback bg-gray-200 text-gray-700 px-6 py-3 rounded-lg hover:bg-gray-300 transition font-semibold">Cancel</button>
+                <button class="confirm-rollback bg-red-600 text-white px-6 py-3 rounded-lg hover:bg-red-700 transition font-semibold disabled:bg-gray-400">
+                    <i class="fas fa-undo mr-2"></i>Archive Cases
+                </button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const confirmBtn = modal.querySelector('.confirm-rollback');
+    let uuids = plan.pending.map(c => c.uuid);
+
+    modal.querySelector('.close-rollback').addEventListener('click', () => modal.remove());
+    confirmBtn.addEventListener('click', async () => {
+        confirmBtn.disabled = true;
+        confirmBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Archiving...';
+        try {
+            const response = await fetch(`/import-history/${encodeURIComponent(id)}/rollback`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ uuids, operator: localStorage.getItem('importOperator') || undefined })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.message);
+
+            data.attempt.results.forEach(r => {
+                const cell = modal.querySelector(`tr[data-uuid="${CSS.escape(r.uuid)}"] .rollback-result`);
+                if (cell) cell.innerHTML = r.status === 'archived'
+                    ? '<span class="px-2 py-1 rounded text-xs font-semibold bg-green-100 text-green-800">archived</span>'
+                    : `<span class="px-2 py-1 rounded text-xs font-semibold bg-red-100 text-red-800" title="${escapeHtml(r.error)}">failed</span> <span class="text-xs text-red-700">${escapeHtml(r.error)}</span>`;
+            });
+
+            // Only the failed cases are sent again
+            uuids = data.attempt.results.filter(r => r.status === 'failed').map(r => r.uuid);
+            showNotification(`${data.attempt.archived} archived, ${data.attempt.failed} failed`, data.attempt.failed ? 'error' : 'success');
+            searchHistory();
+
+            if (uuids.length > 0) {
+                confirmBtn.disabled = false;
+                confirmBtn.innerHTML = `<i class="fas fa-redo mr-2"></i>Retry ${uuids.length} Failed`;
+            } else {
+                confirmBtn.remove();
+                modal.querySelector('.close-rollback').textContent = 'Close';
+            }
+        } catch (error) {
+            showNotification('Error: ' + error.message, 'error');
+            confirmBtn.disabled = false;
+            confirmBtn.innerHTML = '<i class="fas fa-undo mr-2"></i>Archive Cases';
+        }
+    });
+}
+
+function renderHistoryRows(rows) {
+    return `
+        <table class="min-w-full text-sm">
+            <thead class="bg-gray-100 sticky top-0">
+                <tr>
+                    <th class="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Line</th>
+                    <th class="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Status</th>
+                    <th class="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Case UUID</th>
+                    <th class="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Details</th>
+                    <th class="px-3 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Payload</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(r => `
+                    <tr class="border-b align-top">
+                        <td class="px-3 py-2 text-gray-900">${r.line || r.row}</td>
+                        <td class="px-3 py-2"><span class="px-2 py-1 rounded text-xs font-semibold ${ROW_BADGES[r.status] || ''}">${escapeHtml(r.status)}</span></td>
+                        <td class="px-3 py-2 font-mono text-xs text-gray-700 break-all">${escapeHtml(r.uuid || '—')}</td>
+                        <td class="px-3 py-2 text-gray-700">${escapeHtml(r.error || r.reason || (r.changedFields ? `Changed: ${r.changedFields.join(', ')}` : ''))}</td>
+                        <td class="px-3 py-2">
+                            <details>
+                                <summary class="cursor-pointer text-indigo-600 hover:text-indigo-800 text-xs font-semibold">Show</summary>
+                                <pre class="mt-2 bg-gray-50 p-2 rounded text-xs overflow-x-auto max-w-md">${escapeHtml(JSON.stringify(r.payload ?? r.data, null, 2))}</pre>
+                            </details>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// Helpers
+function formatDateTime(value) {
+    return value ? new Date(value).toLocaleString() : '';
+}
+
+function showNotification(message, type) {
+    const n = document.createElement('div');
+    n.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg ${type === 'error' ? 'bg-red-500' : 'bg-green-500'} text-white z-50 slide-in`;
+    n.innerHTML = `<i class="fas ${type === 'error' ? 'fa-exclamation-circle' : 'fa-check-circle'} mr-2"></i>${escapeHtml(message)}`;
+    document.body.appendChild(n);
+    setTimeout(() => n.remove(), 3000);
+}
+
+searchHistory();
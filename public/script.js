@@ -8,18 +8,165 @@ const previewSection = document.getElementById('previewSection');
 const tableContainer = document.getElementById('tableContainer');
 const uploadSelectedBtn = document.getElementById('uploadSelectedBtn');
 const cancelPreviewBtn = document.getElementById('cancelPreviewBtn');
+const dryRunBtn = document.getElementById('dryRunBtn');
 const selectAllBtn = document.getElementById('selectAllBtn');
 const deselectAllBtn = document.getElementById('deselectAllBtn');
 const selectedCount = document.getElementById('selectedCount');
+const mappingProfileSelect = document.getElementById('mappingProfile');
+const saveMappingBtn = document.getElementById('saveMappingBtn');
+const deleteMappingBtn = document.getElementById('deleteMappingBtn');
+const mappingStatus = document.getElementById('mappingStatus');
+const importProgress = document.getElementById('importProgress');
+const importFailures = document.getElementById('importFailures');
+const importModeSelect = document.getElementById('importMode');
+const operatorInput = document.getElementById('operator');
+const sheetPicker = document.getElementById('sheetPicker');
+const sheetSelect = document.getElementById('sheetSelect');
+const parseDiagnostics = document.getElementById('parseDiagnostics');
+
+// The operator name is recorded in the import history and remembered for next time
+operatorInput.value = localStorage.getItem('importOperator') || '';
+operatorInput.addEventListener('change', () => localStorage.setItem('importOperator', operatorInput.value.trim()));
 
 // Store parsed CSV data
 let csvData = [];
 let csvHeaders = [];
 
+// Columns added by a failure report (GET /import-history/:id/failures.csv)
+const REPORT_LINE_COLUMN = 'source_line';
+const REPORT_ERROR_COLUMN = 'import_error';
+const REPORT_IMPORT_COLUMN = 'source_import';
+let retryOfImport = null;
+
+// Preview edits: each entry is a list of cell changes ({ index, header, before, after }) undone together
+let editHistory = [];
+let undoneEdits = [];
+
+// Groups of rows in the file that look like the same person; only the kept row is uploaded
+let fileDuplicateGroups = [];
+
+// Column mapping state: source header -> case field ('' skips the column)
+let caseFields = [];
+let mappingProfiles = [];
+let columnMapping = {};
+let mappingModified = false;
+
+// Transformation rules of the mapping, saved with the profile
+let columnTransforms = {};
+const TRANSFORM_RULE_LABELS = {
+    trim: 'Trim and collapse whitespace',
+    lookup: 'Replace values from a lookup table',
+    date: 'Read dates (ISO, day/month/year, Excel serials)',
+    phone: 'Format phone numbers as 123-456-7890',
+    state: 'Expand state abbreviations to full names',
+    name: 'Fix name capitalization'
+};
+
+// Load case fields and saved mapping profiles
+async function loadMappingOptions() {
+    try {
+        const [fieldsRes, profilesRes] = await Promise.all([fetch('/case-fields'), fetch('/mapping-profiles')]);
+        caseFields = (await fieldsRes.json()).fields || [];
+        mappingProfiles = (await profilesRes.json()).profiles || [];
+        renderMappingProfileOptions();
+    } catch (error) {
+        console.error('Error loading mapping profiles:', error);
+        showNotification('Error loading mapping profiles', 'error');
+    }
+}
+
+function renderMappingProfileOptions(selected = mappingProfileSelect.value) {
+    mappingProfileSelect.innerHTML = '<option value="">No profile (use column names as-is)</option>';
+    mappingProfiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.name;
+        option.textContent = profile.name;
+        mappingProfileSelect.appendChild(option);
+    });
+    mappingProfileSelect.value = mappingProfiles.some(p => p.name === selected) ? selected : '';
+    updateMappingStatus();
+}
+
+function updateMappingStatus() {
+    const name = mappingProfileSelect.value;
+    mappingStatus.textContent = name ? `Profile: ${name}${mappingModified ? ' (modified)' : ''}` : (mappingModified ? 'Unsaved mapping' : '');
+    deleteMappingBtn.classList.toggle('hidden', !name);
+}
+
+// Field a source header currently maps to (unmapped headers keep their own name)
+function getMappedField(header) {
+    return Object.prototype.hasOwnProperty.call(columnMapping, header) ? columnMapping[header] : header;
+}
+
+mappingProfileSelect.addEventListener('change', async () => {
+    const profile = mappingProfiles.find(p => p.name === mappingProfileSelect.value);
+    columnMapping = profile ? { ...profile.mapping } : {};
+    columnTransforms = profile?.transforms ? { ...profile.transforms } : {};
+    mappingModified = false;
+    updateMappingStatus();
+    if (csvData.length > 0) {
+        await validateRows();
+        displayTable();
+    }
+});
+
+// Save the current mapping as a named profile
+saveMappingBtn.addEventListener('click', async () => {
+    const name = prompt('Save mapping profile as:', mappingProfileSelect.value || '');
+    if (!name || !name.trim()) return;
+
+    // Store an explicit entry for every column so the profile is self-describing
+    const mapping = {};
+    csvHeaders.forEach(header => mapping[header] = getMappedField(header));
+
+    try {
+        const response = await fetch(`/mapping-profiles/${encodeURIComponent(name.trim())}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ mapping: { ...columnMapping, ...mapping }, transforms: columnTransforms })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+
+        mappingProfiles = mappingProfiles.filter(p => p.name !== data.name).concat(data)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        mappingModified = false;
+        renderMappingProfileOptions(data.name);
+        showNotification(`Mapping profile "${data.name}" saved`, 'success');
+    } catch (error) {
+        showNotification('Error saving mapping profile: ' + error.message, 'error');
+    }
+});
+
+deleteMappingBtn.addEventListener('click', async () => {
+    const name = mappingProfileSelect.value;
+    if (!name || !confirm(`Delete mapping profile "${name}"?`)) return;
+
+    try {
+        const response = await fetch(`/mapping-profiles/${encodeURIComponent(name)}`, { method: 'DELETE' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+
+        mappingProfiles = mappingProfiles.filter(p => p.name !== name);
+        mappingModified = true;
+        renderMappingProfileOptions('');
+        showNotification(data.message, 'success');
+    } catch (error) {
+        showNotification('Error deleting mapping profile: ' + error.message, 'error');
+    }
+});
+
+loadMappingOptions();
+
 // Show selected file name
 fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (file) {
+        // A new workbook starts on its first sheet
+        sheetSelect.innerHTML = '';
+        sheetPicker.classList.add('hidden');
         fileNameText.textContent = file.name;
         fileName.classList.remove('hidden');
         previewBtn.classList.remove('hidden');
@@ -44,38 +191,135 @@ dropZone.addEventListener('drop', (e) => {
     const files = e.dataTransfer.files;
     if (files.length > 0) {
         fileInput.files = files;
+        sheetSelect.innerHTML = '';
+        sheetPicker.classList.add('hidden');
         fileNameText.textContent = files[0].name;
         fileName.classList.remove('hidden');
         previewBtn.classList.remove('hidden');
     }
 });
 
-// Check for duplicates in simplyConvert
+// Check for duplicates in simplyConvert; returns the best matching case for each flagged row
 async function checkForDuplicates(rows) {
     try {
         showNotification('Checking for duplicates... This may take a moment.', 'info');
         
-        const response = await fetch('/check-duplicates', {
+        const response = await fetch(accountUrl('/check-duplicates'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ rows: rows })
+            body: JSON.stringify({ rows: rows, mapping: columnMapping, transforms: columnTransforms })
         });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+        if (!data.jobId) return { matches: [], inFileGroups: [] };
 
-        if (response.ok) {
-            const data = await response.json();
-            console.log('Duplicate check response:', data);
-            return data.duplicates || [];
-        }
-        return [];
+        const job = await followDuplicateCheck(data.jobId);
+        if (job.status === 'failed') throw new Error(job.message);
+        return { matches: job.matches, inFileGroups: job.inFileGroups };
     } catch (error) {
         console.error('Error checking duplicates:', error);
         showNotification('Error checking for duplicates', 'error');
-        return [];
+        return { matches: [], inFileGroups: [] };
+    } finally {
+        document.getElementById('progressDetail').textContent = 'This may take a few moments';
+    }
+}
+
+// Follow the background duplicate check and resolve with the finished job
+function followDuplicateCheck(jobId) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/jobs/${jobId}/events`);
+        const showProgress = (e) => {
+            const job = JSON.parse(e.data);
+            document.getElementById('progressDetail').textContent = `Checking for duplicates: ${job.processed} of ${job.total} rows`;
+        };
+
+        source.addEventListener('snapshot', showProgress);
+        source.addEventListener('progress', showProgress);
+        source.addEventListener('done', (e) => {
+            source.close();
+            resolve(JSON.parse(e.data));
+        });
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) reject(new Error('Lost track of the duplicate check'));
+        };
+    });
+}
+
+// Validate rows against the case schema and mark invalid cells
+async function validateRows(indexes = csvData.map((row, index) => index)) {
+    try {
+        const response = await fetch(accountUrl('/validate'), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ rows: indexes.map(index => csvData[index].data), mapping: columnMapping, transforms: columnTransforms })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message);
+
+        indexes.forEach(index => {
+            const row = csvData[index];
+            row.cellErrors = {};
+            row.rowErrors = [];
+            row.isInvalid = false;
+        });
+
+        (data.results || []).forEach(result => {
+            const row = csvData[indexes[result.row]];
+            if (!row) return;
+            row.isInvalid = true;
+            row.selected = false; // Rows with errors cannot be uploaded
+            result.errors.forEach(error => {
+                if (error.column) {
+                    (row.cellErrors[error.column] = row.cellErrors[error.column] || []).push(error.message);
+                } else {
+                    row.rowErrors.push(error.message);
+                }
+            });
+        });
+    } catch (error) {
+        console.error('Error validating rows:', error);
+        showNotification('Error validating rows: ' + error.message, 'error');
     }
 }
 
+// Update and upsert modes send duplicates to their existing case, so they may be selected
+function duplicatesAllowed() {
+    return ['update', 'upsert'].includes(importModeSelect.value);
+}
+
+// Rows in an in-file duplicate group that were not picked to keep
+function isDiscardedRepeat(row) {
+    return row.fileGroup !== undefined && !row.keep;
+}
+
+// Rows that cannot be selected for upload
+function isBlocked(row) {
+    return (row.isDuplicate && !duplicatesAllowed()) || row.isInvalid || isDiscardedRepeat(row);
+}
+
+importModeSelect.addEventListener('change', () => {
+    // Duplicates cannot stay selected once the mode no longer updates them
+    if (!duplicatesAllowed()) {
+        csvData.forEach(row => {
+            if (row.isDuplicate) row.selected = false;
+        });
+    }
+    if (csvData.length > 0) displayTable();
+});
+
+// Duplicates and labels depend on the account, so a loaded file is checked again
+window.addEventListener('accountchange', () => {
+    if (csvData.length > 0) previewBtn.click();
+});
+
+// Another sheet of the workbook replaces the preview
+sheetSelect.addEventListener('change', () => previewBtn.click());
+
 // Preview button click
 previewBtn.addEventListener('click', async () => {
     const file = fileInput.files[0];
@@ -89,22 +333,33 @@ previewBtn.addEventListener('click', async () => {
         const progress = document.getElementById('progress');
         progress.classList.remove('hidden');
         
-        const text = await file.text();
-        parseCSV(text);
+        await readRowFile(file);
+        if (retryOfImport) showNotification('Failure report loaded: the upload will be linked to the original import', 'info');
         
         // Check for duplicates before displaying
-        const duplicateIndices = await checkForDuplicates(csvData.map(row => row.data));
-        
-        console.log('Found duplicates at indices:', duplicateIndices);
+        const { matches, inFileGroups } = await checkForDuplicates(csvData.map(row => row.data));
         
-        // Mark duplicates
-        duplicateIndices.forEach(index => {
-            if (csvData[index]) {
-                csvData[index].isDuplicate = true;
-                csvData[index].selected = false; // Uncheck duplicates
+        // Mark duplicates and keep the match so the table can show why
+        matches.forEach(match => {
+            if (csvData[match.row]) {
+                csvData[match.row].isDuplicate = true;
+                csvData[match.row].duplicateMatch = match;
+                csvData[match.row].selected = false; // Uncheck duplicates
             }
         });
+
+        // Keep the first row of each in-file group until the user picks another
+        fileDuplicateGroups = inFileGroups;
+        fileDuplicateGroups.forEach((group, groupIndex) => {
+            group.rows.forEach((index, position) => {
+                csvData[index].fileGroup = groupIndex;
+                csvData[index].keep = position === 0;
+                if (position > 0) csvData[index].selected = false;
+            });
+        });
         
+        await validateRows();
+
         // Hide progress
         progress.classList.add('hidden');
         
@@ -113,55 +368,168 @@ previewBtn.addEventListener('click', async () => {
         previewSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
     } catch (error) {
         document.getElementById('progress').classList.add('hidden');
-        showNotification('Error reading CSV file: ' + error.message, 'error');
+        showNotification('Error reading file: ' + error.message, 'error');
     }
 });
 
-// Parse CSV text
-function parseCSV(text) {
-    const lines = text.split('\n').filter(line => line.trim());
-    if (lines.length === 0) {
-        throw new Error('CSV file is empty');
+// Read the chosen file (or workbook sheet) on the server into csvHeaders and csvData
+async function readRowFile(file) {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (sheetSelect.value) formData.append('sheet', sheetSelect.value);
+    const response = await fetch('/parse-file', { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message);
+
+    // Only workbooks with several sheets need a choice
+    sheetPicker.classList.toggle('hidden', !data.sheets || data.sheets.length < 2);
+    sheetSelect.replaceChildren(...(data.sheets || []).map(sheet => new Option(sheet, sheet)));
+    if (data.sheet) sheetSelect.value = data.sheet;
+    loadRows(data.headers, data.rows, data.diagnostics);
+}
+
+// Make parsed rows ({ line, data }) the preview data, setting aside the columns of a failure report
+function loadRows(headers, rows, diagnostics) {
+    csvHeaders = headers.filter(header => ![REPORT_LINE_COLUMN, REPORT_ERROR_COLUMN, REPORT_IMPORT_COLUMN].includes(header));
+    retryOfImport = null;
+    editHistory = [];
+    undoneEdits = [];
+
+    csvData = rows.map((row, i) => {
+        // A failure report row: show the previous error and keep the line of the original file
+        const { [REPORT_LINE_COLUMN]: sourceLine, [REPORT_ERROR_COLUMN]: previousError, [REPORT_IMPORT_COLUMN]: sourceImport, ...data } = row.data;
+        retryOfImport = retryOfImport || sourceImport || null;
+        const parseWarnings = diagnostics.filter(d => d.line !== null && d.line === row.line).map(d => d.message);
+        return { data, original: { ...data }, selected: true, line: parseInt(sourceLine, 10) || row.line || i + 1, previousError, parseWarnings, isDuplicate: false };
+    });
+    renderDiagnostics(diagnostics);
+    updateEditControls();
+}
+
+// Rows the server skipped or read with a problem, listed above the preview table
+function renderDiagnostics(diagnostics) {
+    const skipped = diagnostics.filter(d => d.severity === 'skipped').length;
+    const warnings = diagnostics.length - skipped;
+    parseDiagnostics.classList.toggle('hidden', diagnostics.length === 0);
+    if (diagnostics.length === 0) return;
+
+    const summary = [
+        skipped > 0 ? `${skipped} row${skipped !== 1 ? 's' : ''} skipped` : '',
+        warnings > 0 ? `${warnings} warning${warnings !== 1 ? 's' : ''}` : ''
+    ].filter(Boolean).join(', ');
+    parseDiagnostics.innerHTML = `
+        <details ${skipped > 0 ? 'open' : ''}>
+            <summary class="cursor-pointer font-semibold text-orange-800">
+                <i class="fas fa-file-medical-alt mr-2"></i>Reading the file: ${summary}
+            </summary>
+            <ul class="mt-2 space-y-1 text-sm max-h-40 overflow-y-auto"></ul>
+        </details>
+    `;
+    const list = parseDiagnostics.querySelector('ul');
+    diagnostics.forEach(d => {
+        const li = document.createElement('li');
+        li.className = d.severity === 'skipped' ? 'text-red-700' : 'text-orange-700';
+        li.innerHTML = `<span class="font-semibold">${d.line ? `Line ${d.line}` : 'File'}${d.severity === 'skipped' ? ' (skipped)' : ''}:</span> `;
+        li.appendChild(document.createTextNode(d.message));
+        list.appendChild(li);
+    });
+    if (skipped > 0) showNotification(`${skipped} row(s) of the file could not be read; see the list above the preview`, 'error');
+}
+
+// Table row for one CSV row
+function createDataRow(rowData, rowIndex) {
+    const tr = document.createElement('tr');
+    // Add red background for duplicates, yellow for rows that fail validation, purple for repeats not kept
+    tr.className = rowData.isDuplicate 
+        ? 'bg-red-100 hover:bg-red-200 transition' 
+        : rowData.isInvalid ? 'bg-yellow-50 hover:bg-yellow-100 transition'
+        : isDiscardedRepeat(rowData) ? 'bg-purple-50 hover:bg-purple-100 transition' : 'hover:bg-gray-50 transition';
+    if (rowData.fileGroup !== undefined) tr.className += ' border-l-4 border-purple-400';
+    tr.dataset.index = rowIndex;
+
+    // Checkbox cell
+    const checkboxTd = document.createElement('td');
+    checkboxTd.className = 'px-4 py-3 border-b';
+    checkboxTd.innerHTML = `<input type="checkbox" ${rowData.selected ? 'checked' : ''} class="row-checkbox w-4 h-4 text-indigo-600 rounded" data-index="${rowIndex}">`;
+    tr.appendChild(checkboxTd);
+
+    // Row number cell
+    const rowNumTd = document.createElement('td');
+    rowNumTd.className = 'px-4 py-3 text-sm font-medium border-b';
+    rowNumTd.className += rowData.isDuplicate ? ' text-red-900' : ' text-gray-900';
+    rowNumTd.textContent = rowData.line;
+    const rowNotes = [];
+    if (rowData.parseWarnings?.length > 0) {
+        rowNotes.push(...rowData.parseWarnings);
+        rowNumTd.innerHTML += ' <i class="fas fa-file-medical-alt text-orange-500"></i>';
+    }
+    if (rowData.previousError) {
+        rowNotes.push(`Failed before: ${rowData.previousError}`);
+        rowNumTd.innerHTML += ' <i class="fas fa-history text-gray-500"></i>';
+    }
+    const editedHeaders = editedColumns(rowData);
+    if (editedHeaders.length > 0) {
+        rowNotes.push(...editedHeaders.map(header => `Edited ${header} (was "${rowData.original[header] ?? ''}")`));
+        rowNumTd.innerHTML += ' <i class="fas fa-pen text-blue-600"></i>';
+    }
+    if (rowData.duplicateMatch) {
+        const match = rowData.duplicateMatch;
+        const confidence = Math.round(match.score * 100);
+        rowNotes.push(`Matches case ${match.caseId || match.uuid}${match.name ? ` (${match.name})` : ''} - ${confidence}% confidence`);
+        rowNotes.push(...match.reasons.map(reason => `• ${reason}`));
+        rowNumTd.innerHTML += ` <span class="ml-1 px-1.5 py-0.5 rounded bg-red-200 text-red-800 text-xs font-semibold whitespace-nowrap">${confidence}%</span>`;
+    }
+    if (rowData.rowErrors && rowData.rowErrors.length > 0) {
+        rowNotes.push(...rowData.rowErrors);
+        rowNumTd.innerHTML += ' <i class="fas fa-exclamation-triangle text-yellow-600"></i>';
     }
+    if (rowNotes.length > 0) rowNumTd.title = rowNotes.join('\n');
+    rowNumTd.innerHTML += ` <button type="button" class="payload-btn text-gray-400 hover:text-indigo-600" data-index="${rowIndex}" title="Preview payload"><i class="fas fa-code"></i></button>`;
+    if (rowData.fileGroup !== undefined) {
+        rowNumTd.innerHTML += `<label class="flex items-center gap-1 mt-1 text-xs text-purple-700 font-normal whitespace-nowrap">
+            <input type="radio" name="keep-group-${rowData.fileGroup}" class="keep-radio" data-index="${rowIndex}" ${rowData.keep ? 'checked' : ''}> Keep
+        </label>`;
+    }
+    tr.appendChild(rowNumTd);
 
-    // Parse headers
-    csvHeaders = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-    
-    // Parse data rows
-    csvData = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        if (values.length === csvHeaders.length) {
-            const row = {};
-            csvHeaders.forEach((header, index) => {
-                row[header] = values[index].trim().replace(/^"|"$/g, '');
-            });
-            csvData.push({ data: row, selected: true, index: i, isDuplicate: false });
+    // Data cells
+    csvHeaders.forEach(header => {
+        const td = document.createElement('td');
+        td.className = 'px-4 py-3 text-sm border-b';
+        td.className += rowData.isDuplicate ? ' text-red-900' : isDiscardedRepeat(rowData) ? ' text-gray-400' : ' text-gray-700';
+        td.textContent = rowData.data[header] || '';
+        td.className += ' cursor-text focus:outline-none focus:ring-2 focus:ring-inset focus:ring-indigo-500';
+        td.contentEditable = 'true';
+        td.spellcheck = false;
+        td.dataset.header = header;
+        if (editedHeaders.includes(header)) td.className += ' bg-blue-50 font-semibold';
+        const cellErrors = rowData.cellErrors && rowData.cellErrors[header];
+        if (cellErrors) {
+            td.className += ' bg-yellow-200 ring-2 ring-inset ring-yellow-500';
+            td.title = cellErrors.join('\n');
         }
-    }
+        tr.appendChild(td);
+    });
+
+    return tr;
 }
 
-// Parse a single CSV line (handles quoted values with commas)
-function parseCSVLine(line) {
-    const values = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        
-        if (char === '"') {
-            inQuotes = !inQuotes;
-        } else if (char === ',' && !inQuotes) {
-            values.push(current);
-            current = '';
-        } else {
-            current += char;
-        }
-    }
-    values.push(current);
-    
-    return values;
+// Header above rows of the file that look like the same person
+function createGroupHeaderRow(group, groupIndex) {
+    const tr = document.createElement('tr');
+    tr.className = 'bg-purple-100';
+    const td = document.createElement('td');
+    td.colSpan = csvHeaders.length + 2;
+    td.className = 'px-4 py-2 text-sm text-purple-900 border-b border-l-4 border-purple-400';
+    const rowNumbers = group.rows.map(index => csvData[index].line).join(', ');
+    td.innerHTML = `
+        <div class="flex items-center justify-between gap-4">
+            <span><i class="fas fa-clone mr-2"></i>Lines ${rowNumbers} look like the same person (${group.reasons.join(', ')}). Choose the row to keep.</span>
+            <button type="button" class="split-group-btn text-xs text-purple-700 hover:text-purple-900 underline whitespace-nowrap" data-group="${groupIndex}">Not duplicates</button>
+        </div>
+    `;
+    tr.appendChild(td);
+    return tr;
 }
 
 // Display CSV data in table
@@ -183,7 +551,7 @@ function displayTable() {
     // Row number header
     const rowNumTh = document.createElement('th');
     rowNumTh.className = 'px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider border-b';
-    rowNumTh.textContent = 'Row';
+    rowNumTh.textContent = 'Line';
     headerRow.appendChild(rowNumTh);
     
     // Data headers
@@ -195,41 +563,24 @@ function displayTable() {
     });
     
     thead.appendChild(headerRow);
+    thead.appendChild(createMappingRow());
     table.appendChild(thead);
     
-    // Create body
+    // Create body; rows repeated in the file are shown together under their group header
     const tbody = document.createElement('tbody');
+    const rendered = new Set();
     csvData.forEach((rowData, rowIndex) => {
-        const tr = document.createElement('tr');
-        // Add red background for duplicates
-        tr.className = rowData.isDuplicate 
-            ? 'bg-red-100 hover:bg-red-200 transition' 
-            : 'hover:bg-gray-50 transition';
-        tr.dataset.index = rowIndex;
-        
-        // Checkbox cell
-        const checkboxTd = document.createElement('td');
-        checkboxTd.className = 'px-4 py-3 border-b';
-        checkboxTd.innerHTML = `<input type="checkbox" ${rowData.selected ? 'checked' : ''} class="row-checkbox w-4 h-4 text-indigo-600 rounded" data-index="${rowIndex}">`;
-        tr.appendChild(checkboxTd);
-        
-        // Row number cell
-        const rowNumTd = document.createElement('td');
-        rowNumTd.className = 'px-4 py-3 text-sm font-medium border-b';
-        rowNumTd.className += rowData.isDuplicate ? ' text-red-900' : ' text-gray-900';
-        rowNumTd.textContent = rowData.index;
-        tr.appendChild(rowNumTd);
-        
-        // Data cells
-        csvHeaders.forEach(header => {
-            const td = document.createElement('td');
-            td.className = 'px-4 py-3 text-sm border-b';
-            td.className += rowData.isDuplicate ? ' text-red-900' : ' text-gray-700';
-            td.textContent = rowData.data[header] || '';
-            tr.appendChild(td);
+        if (rendered.has(rowIndex)) return;
+        if (rowData.fileGroup === undefined) {
+            tbody.appendChild(createDataRow(rowData, rowIndex));
+            return;
+        }
+        const group = fileDuplicateGroups[rowData.fileGroup];
+        tbody.appendChild(createGroupHeaderRow(group, rowData.fileGroup));
+        group.rows.forEach(index => {
+            rendered.add(index);
+            tbody.appendChild(createDataRow(csvData[index], index));
         });
-        
-        tbody.appendChild(tr);
     });
     
     table.appendChild(tbody);
@@ -239,62 +590,422 @@ function displayTable() {
     // Add event listeners
     document.getElementById('selectAllCheckbox').addEventListener('change', (e) => {
         csvData.forEach(row => {
-            // Don't select duplicates
-            if (!row.isDuplicate) {
+            // Don't select duplicates or invalid rows
+            if (!isBlocked(row)) {
                 row.selected = e.target.checked;
             }
         });
         document.querySelectorAll('.row-checkbox').forEach(cb => {
             const index = parseInt(cb.dataset.index);
-            if (!csvData[index].isDuplicate) {
+            if (!isBlocked(csvData[index])) {
                 cb.checked = e.target.checked;
             }
         });
         updateSelectedCount();
     });
     
-    document.querySelectorAll('.row-checkbox').forEach(cb => {
+    bindRowControls(table);
+
+    // Rows that are different people after all can each be uploaded
+    document.querySelectorAll('.split-group-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            fileDuplicateGroups[parseInt(e.target.dataset.group)].rows.forEach(index => {
+                const row = csvData[index];
+                delete row.fileGroup;
+                delete row.keep;
+                row.selected = !isBlocked(row);
+            });
+            displayTable();
+        });
+    });
+    
+    updateSelectedCount();
+    
+    // Show duplicate and validation counts if any
+    const duplicateCount = csvData.filter(row => row.isDuplicate).length;
+    const invalidCount = csvData.filter(row => row.isInvalid).length;
+    const repeatCount = csvData.filter(isDiscardedRepeat).length;
+    if (duplicateCount > 0) {
+        showNotification(`${duplicateCount} duplicate record(s) found and highlighted in red. Hover the row number to see why.`, 'error');
+    }
+    if (invalidCount > 0) {
+        showNotification(`${invalidCount} row(s) have validation errors highlighted in yellow`, 'error');
+    }
+    if (repeatCount > 0) {
+        showNotification(`${repeatCount} row(s) repeat another row in this file and are grouped in purple`, 'info');
+    }
+}
+
+// Checkbox and Keep controls of the data rows in `root` (the whole table, or one row redrawn after an edit)
+function bindRowControls(root) {
+    root.querySelectorAll('.row-checkbox').forEach(cb => {
         cb.addEventListener('change', (e) => {
             const index = parseInt(e.target.dataset.index);
-            // Prevent selecting duplicates
-            if (csvData[index].isDuplicate) {
+            // Prevent selecting duplicates (unless they will be updated) and rows with validation errors
+            if (csvData[index].isDuplicate && !duplicatesAllowed()) {
+                e.target.checked = false;
+                showNotification('Cannot select duplicate records in this import mode', 'error');
+                return;
+            }
+            if (csvData[index].isInvalid) {
                 e.target.checked = false;
-                showNotification('Cannot select duplicate records', 'error');
+                showNotification('Fix the highlighted errors before uploading this row', 'error');
+                return;
+            }
+            if (isDiscardedRepeat(csvData[index])) {
+                e.target.checked = false;
+                showNotification('Choose Keep on this row to upload it instead of the other rows in its group', 'error');
                 return;
             }
             csvData[index].selected = e.target.checked;
             updateSelectedCount();
         });
     });
-    
+
+    // Keep one row of an in-file group and leave the others out of the upload
+    root.querySelectorAll('.keep-radio').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            const keptIndex = parseInt(e.target.dataset.index);
+            fileDuplicateGroups[csvData[keptIndex].fileGroup].rows.forEach(index => {
+                csvData[index].keep = index === keptIndex;
+                csvData[index].selected = false;
+            });
+            csvData[keptIndex].selected = !isBlocked(csvData[keptIndex]);
+            displayTable();
+        });
+    });
+
+    root.querySelectorAll('.payload-btn').forEach(btn => {
+        btn.addEventListener('click', () => previewPayloads([csvData[parseInt(btn.dataset.index)]]));
+    });
+}
+
+// Cell editing: Enter keeps the change, Escape drops it, and the row is validated again.
+function editedColumns(rowData) {
+    return rowData.original ? csvHeaders.filter(header => (rowData.data[header] ?? '') !== (rowData.original[header] ?? '')) : [];
+}
+
+tableContainer.addEventListener('keydown', (e) => {
+    const td = e.target.closest('td[data-header]');
+    if (!td) return;
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        td.blur();
+    } else if (e.key === 'Escape') {
+        td.textContent = csvData[parseInt(td.parentElement.dataset.index)].data[td.dataset.header] || '';
+        td.blur();
+    }
+});
+
+tableContainer.addEventListener('focusout', (e) => {
+    const td = e.target.closest('td[data-header]');
+    if (!td) return;
+    const index = parseInt(td.parentElement.dataset.index);
+    const before = csvData[index].data[td.dataset.header] ?? '';
+    const after = td.textContent.trim();
+    if (after !== before) recordEdit([{ index, header: td.dataset.header, before, after }]);
+});
+
+async function recordEdit(changes) {
+    if (changes.length === 0) return;
+    editHistory.push(changes);
+    undoneEdits = [];
+    await applyCellChanges(changes, 'after');
+}
+
+async function undoEdit() {
+    const changes = editHistory.pop();
+    if (!changes) return;
+    undoneEdits.push(changes);
+    await applyCellChanges(changes, 'before');
+}
+
+async function redoEdit() {
+    const changes = undoneEdits.pop();
+    if (!changes) return;
+    editHistory.push(changes);
+    await applyCellChanges(changes, 'after');
+}
+
+// Set the changed cells to their `before` or `after` value, validate those rows again and redraw them
+async function applyCellChanges(changes, side) {
+    changes.forEach(change => { csvData[change.index].data[change.header] = change[side]; });
+    updateEditControls();
+
+    const indexes = [...new Set(changes.map(change => change.index))];
+    const wasInvalid = new Map(indexes.map(index => [index, csvData[index].isInvalid]));
+    await validateRows(indexes);
+
+    indexes.forEach(index => {
+        const row = csvData[index];
+        // A fixed row can be uploaded again; a row broken by the edit cannot
+        if (wasInvalid.get(index) && !row.isInvalid) row.selected = !isBlocked(row);
+
+        const tr = tableContainer.querySelector(`tr[data-index="${index}"]`);
+        if (!tr) return;
+        const updated = createDataRow(row, index);
+        // Tabbing on within the row must not lose the cell being typed in
+        const editing = tr.contains(document.activeElement) ? document.activeElement : null;
+        tr.replaceWith(updated);
+        bindRowControls(updated);
+        if (editing?.dataset.header) {
+            const cell = updated.querySelector(`td[data-header="${CSS.escape(editing.dataset.header)}"]`);
+            cell.textContent = editing.textContent;
+            cell.focus();
+        }
+    });
     updateSelectedCount();
-    
-    // Show duplicate count if any
-    const duplicateCount = csvData.filter(row => row.isDuplicate).length;
-    if (duplicateCount > 0) {
-        showNotification(`${duplicateCount} duplicate record(s) found and highlighted in red`, 'error');
+}
+
+function updateEditControls() {
+    document.getElementById('undoEditBtn').disabled = editHistory.length === 0;
+    document.getElementById('redoEditBtn').disabled = undoneEdits.length === 0;
+    const editedCount = csvData.filter(row => editedColumns(row).length > 0).length;
+    document.getElementById('editStatus').textContent = editedCount > 0 ? `${editedCount} row${editedCount !== 1 ? 's' : ''} edited` : '';
+}
+
+document.getElementById('undoEditBtn').addEventListener('click', undoEdit);
+document.getElementById('redoEditBtn').addEventListener('click', redoEdit);
+document.getElementById('findReplaceBtn').addEventListener('click', showFindReplace);
+
+// Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z) outside of a cell being edited
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || previewSection.classList.contains('hidden')) return;
+    if (e.target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+    } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redoEdit();
     }
+});
+
+// Find and replace within one column of every row, as a single edit
+function showFindReplace() {
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition';
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-lg w-full">
+            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 rounded-t-2xl flex justify-between items-center">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-search mr-3"></i>Find and Replace</h2>
+                <button type="button" class="close-find text-white hover:text-gray-200 text-2xl"><i class="fas fa-times"></i></button>
+            </div>
+            <form class="p-6 space-y-4">
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-1">Column</label>
+                    <select name="header" class="${inputClass}"></select>
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-1">Find</label>
+                    <input name="find" autocomplete="off" class="${inputClass}">
+                </div>
+                <div>
+                    <label class="block text-sm font-semibold text-gray-700 mb-1">Replace with</label>
+                    <input name="replace" autocomplete="off" class="${inputClass}">
+                </div>
+                <div class="flex gap-6 text-sm text-gray-700">
+                    <label><input type="checkbox" name="matchCase" class="mr-2">Match case</label>
+                    <label><input type="checkbox" name="wholeCell" class="mr-2">Whole cell only</label>
+                </div>
+                <div class="flex justify-end gap-3 pt-2">
+                    <button type="button" class="close-find bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition font-semibold text-sm">Cancel</button>
+                    <button type="submit" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition font-semibold text-sm">
+                        <i class="fas fa-exchange-alt mr-2"></i>Replace All
+                    </button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('form');
+    csvHeaders.forEach(header => form.elements.header.add(new Option(header, header)));
+    modal.querySelectorAll('.close-find').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const header = form.elements.header.value;
+        const find = form.elements.find.value;
+        const replace = form.elements.replace.value;
+        const matchCase = form.elements.matchCase.checked;
+        const wholeCell = form.elements.wholeCell.checked;
+        // An empty search only makes sense for whole cells: it fills the blanks
+        if (!find && !wholeCell) {
+            showNotification('Enter the text to find', 'error');
+            return;
+        }
+
+        const pattern = new RegExp(find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), matchCase ? 'g' : 'gi');
+        const changes = [];
+        csvData.forEach((row, index) => {
+            const before = row.data[header] ?? '';
+            const after = wholeCell
+                ? ((matchCase ? before === find : before.toLowerCase() === find.toLowerCase()) ? replace : before)
+                : before.replace(pattern, () => replace);
+            if (after !== before) changes.push({ index, header, before, after });
+        });
+
+        modal.remove();
+        if (changes.length === 0) {
+            showNotification(`No matches in ${header}`, 'info');
+            return;
+        }
+        await recordEdit(changes);
+        showNotification(`Replaced ${changes.length} cell${changes.length !== 1 ? 's' : ''} in ${header}`, 'success');
+    });
+}
+
+// Header row with a case field picker for each source column
+function createMappingRow() {
+    const mappingRow = document.createElement('tr');
+    mappingRow.className = 'bg-indigo-50';
+
+    const labelTh = document.createElement('th');
+    labelTh.colSpan = 2;
+    labelTh.className = 'px-4 py-2 text-left text-xs font-semibold text-indigo-700 border-b';
+    labelTh.innerHTML = '<i class="fas fa-arrow-right mr-1"></i>Maps to';
+    mappingRow.appendChild(labelTh);
+
+    csvHeaders.forEach(header => {
+        const th = document.createElement('th');
+        th.className = 'px-4 py-2 text-left border-b';
+
+        const select = document.createElement('select');
+        select.className = 'mapping-select text-xs font-normal border border-gray-300 rounded px-2 py-1 bg-white';
+        select.dataset.header = header;
+
+        const options = [];
+        if (!caseFields.includes(header)) options.push([header, `Send as "${header}"`]);
+        options.push(['', 'Skip column']);
+        caseFields.forEach(field => options.push([field, field]));
+
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        select.value = getMappedField(header);
+        if (select.value !== getMappedField(header)) select.value = header;
+
+        select.addEventListener('change', async () => {
+            columnMapping[header] = select.value;
+            mappingModified = true;
+            updateMappingStatus();
+            await validateRows();
+            displayTable();
+        });
+
+        const rules = columnTransforms[header] || [];
+        const rulesBtn = document.createElement('button');
+        rulesBtn.type = 'button';
+        rulesBtn.className = `ml-1 text-xs px-1.5 py-1 rounded ${rules.length > 0 ? 'bg-indigo-600 text-white' : 'text-indigo-600 hover:bg-indigo-100'}`;
+        rulesBtn.title = rules.length > 0 ? rules.map(rule => TRANSFORM_RULE_LABELS[rule.rule]).join('\n') : 'Transformation rules';
+        rulesBtn.innerHTML = `<i class="fas fa-magic"></i>${rules.length > 0 ? ` ${rules.length}` : ''}`;
+        rulesBtn.addEventListener('click', () => showTransformRules(header));
+
+        th.appendChild(select);
+        th.appendChild(rulesBtn);
+        mappingRow.appendChild(th);
+    });
+
+    return mappingRow;
+}
+
+// Pick the transformation rules of one column; they run in the order listed
+function showTransformRules(header) {
+    const current = Object.fromEntries((columnTransforms[header] || []).map(rule => [rule.rule, rule]));
+    const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-indigo-500 focus:border-transparent transition';
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-lg w-full">
+            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 rounded-t-2xl flex justify-between items-center">
+                <h2 class="text-2xl font-bold text-white"><i class="fas fa-magic mr-3"></i>Rules for ${escapeHtml(header)}</h2>
+                <button type="button" class="close-rules text-white hover:text-gray-200 text-2xl"><i class="fas fa-times"></i></button>
+            </div>
+            <form class="p-6 space-y-3">
+                ${Object.entries(TRANSFORM_RULE_LABELS).map(([rule, label]) => `
+                    <label class="flex items-center text-sm text-gray-700"><input type="checkbox" name="${rule}" class="mr-2" ${current[rule] ? 'checked' : ''}>${label}</label>
+                    ${rule === 'date' ? `
+                        <div class="pl-6">
+                            <select name="dateOrder" class="${inputClass}">
+                                <option value="MDY">Month first (03/04/1990 is March 4)</option>
+                                <option value="DMY" ${current.date?.order === 'DMY' ? 'selected' : ''}>Day first (03/04/1990 is 3 April)</option>
+                            </select>
+                        </div>
+                    ` : ''}
+                    ${rule === 'lookup' ? `
+                        <div class="pl-6">
+                            <textarea name="lookupValues" rows="4" placeholder="One per line: value = replacement" class="${inputClass} font-mono">${escapeHtml(Object.entries(current.lookup?.values || {}).map(([from, to]) => `${from} = ${to}`).join('\n'))}</textarea>
+                        </div>
+                    ` : ''}
+                `).join('')}
+                <div class="flex justify-end gap-3 pt-2">
+                    <button type="button" class="close-rules bg-gray-200 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-300 transition font-semibold text-sm">Cancel</button>
+                    <button type="submit" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition font-semibold text-sm">
+                        <i class="fas fa-check mr-2"></i>Apply
+                    </button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('form');
+    modal.querySelectorAll('.close-rules').forEach(btn => btn.addEventListener('click', () => modal.remove()));
+
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const rules = Object.keys(TRANSFORM_RULE_LABELS).filter(rule => form.elements[rule].checked).map(rule => {
+            if (rule === 'date') return { rule, order: form.elements.dateOrder.value };
+            if (rule !== 'lookup') return { rule };
+            const values = {};
+            form.elements.lookupValues.value.split('\n').forEach(line => {
+                const separator = line.indexOf('=');
+                if (separator > 0) values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+            });
+            return { rule, values };
+        });
+        if (rules.some(rule => rule.rule === 'lookup' && Object.keys(rule.values).length === 0)) {
+            showNotification('Enter at least one "value = replacement" line for the lookup table', 'error');
+            return;
+        }
+
+        modal.remove();
+        if (rules.length > 0) columnTransforms[header] = rules;
+        else delete columnTransforms[header];
+        mappingModified = true;
+        updateMappingStatus();
+        await validateRows();
+        displayTable();
+    });
 }
 
 // Update selected count
 function updateSelectedCount() {
     const count = csvData.filter(row => row.selected).length;
     const duplicateCount = csvData.filter(row => row.isDuplicate).length;
-    selectedCount.textContent = `${count} of ${csvData.length} selected (${duplicateCount} duplicates)`;
+    const invalidCount = csvData.filter(row => row.isInvalid).length;
+    const repeatCount = csvData.filter(isDiscardedRepeat).length;
+    selectedCount.textContent = `${count} of ${csvData.length} selected (${duplicateCount} duplicates, ${repeatCount} repeated in file, ${invalidCount} invalid)`;
     uploadSelectedBtn.disabled = count === 0;
 }
 
 // Select all button
 selectAllBtn.addEventListener('click', () => {
     csvData.forEach(row => {
-        // Don't select duplicates
-        if (!row.isDuplicate) {
+        // Don't select duplicates or invalid rows
+        if (!isBlocked(row)) {
             row.selected = true;
         }
     });
     document.querySelectorAll('.row-checkbox').forEach(cb => {
         const index = parseInt(cb.dataset.index);
-        if (!csvData[index].isDuplicate) {
+        if (!isBlocked(csvData[index])) {
             cb.checked = true;
         }
     });
@@ -315,99 +1026,375 @@ cancelPreviewBtn.addEventListener('click', () => {
     previewSection.classList.add('hidden');
     csvData = [];
     csvHeaders = [];
+    retryOfImport = null;
+    editHistory = [];
+    undoneEdits = [];
+    updateEditControls();
+    fileDuplicateGroups = [];
+    columnMapping = {};
+    columnTransforms = {};
+    mappingProfileSelect.dispatchEvent(new Event('change'));
 });
 
 // Upload selected rows
 uploadSelectedBtn.addEventListener('click', async () => {
-    const selectedRows = csvData.filter(row => row.selected).map(row => row.data);
+    const selectedRows = csvData.filter(row => row.selected && !row.isInvalid);
     
     if (selectedRows.length === 0) {
         showNotification('Please select at least one row', 'error');
         return;
     }
 
-    const progress = document.getElementById('progress');
     const resultsDiv = document.getElementById('results');
 
-    // Disable button and show progress
+    // Disable button and show the progress bar
     uploadSelectedBtn.disabled = true;
-    progress.classList.remove('hidden');
     resultsDiv.innerHTML = '';
 
     try {
-        const response = await fetch('/upload-data', {
+        // Documents go up first so the import can refer to them
+        const bundleId = await uploadDocumentsBundle();
+
+        const response = await fetch(accountUrl('/upload-data'), {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ rows: selectedRows })
+            body: JSON.stringify({
+                rows: selectedRows.map(row => row.data),
+                lines: selectedRows.map(row => row.line),
+                retryOf: retryOfImport || undefined,
+                mapping: columnMapping,
+                transforms: columnTransforms,
+                mappingProfile: mappingProfileSelect.value || undefined,
+                mode: importModeSelect.value,
+                concurrency: document.getElementById('concurrency').value,
+                bundleId,
+                fileName: fileInput.files[0]?.name,
+                operator: operatorInput.value.trim() || undefined
+            })
         });
 
         const data = await response.json();
-        if (response.ok) {
-            // Success message
-            resultsDiv.innerHTML = `
-                <div class="bg-green-50 border-l-4 border-green-500 p-6 rounded-lg mb-4">
-                    <div class="flex items-center mb-2">
-                        <i class="fas fa-check-circle text-green-500 text-2xl mr-3"></i>
-                        <h3 class="text-lg font-semibold text-green-800">Upload Successful!</h3>
-                    </div>
-                    <p class="text-green-700">${data.message}</p>
+        if (!response.ok) {
+            showUploadError('Upload Failed', data.message || 'Unknown error');
+            return;
+        }
+
+        // Hide preview section once the import has started
+        previewSection.classList.add('hidden');
+        resetImportProgress(data.total);
+        importProgress.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        const job = await followImportJob(data.jobId);
+        importProgress.classList.add('hidden');
+
+        if (job.status === 'failed') {
+            showUploadError('Upload Failed', job.message);
+        } else {
+            showImportResults(job);
+        }
+        resultsDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        importProgress.classList.add('hidden');
+        showUploadError('Error', error.message);
+    } finally {
+        uploadSelectedBtn.disabled = false;
+    }
+});
+
+// Dry run of the selected rows: the payloads they would send, without calling the API
+dryRunBtn.addEventListener('click', () => {
+    const selectedRows = csvData.filter(row => row.selected && !row.isInvalid);
+    if (selectedRows.length === 0) {
+        showNotification('Please select at least one row', 'error');
+        return;
+    }
+    previewPayloads(selectedRows);
+});
+
+async function previewPayloads(rows) {
+    try {
+        const response = await fetch(accountUrl('/upload-data'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                rows: rows.map(row => row.data),
+                lines: rows.map(row => row.line),
+                mapping: columnMapping,
+                transforms: columnTransforms,
+                mappingProfile: mappingProfileSelect.value || undefined,
+                mode: importModeSelect.value,
+                dryRun: true
+            })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.message || 'Could not build the payloads');
+        showPayloadPreview(data.rows);
+    } catch (error) {
+        showNotification(`Payload preview failed: ${error.message}`, 'error');
+    }
+}
+
+// Where a payload field came from, as shown next to its value
+function describeProvenance(origin) {
+    const quote = (value) => escapeHtml(typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+    const column = origin.column ? `column <strong>${escapeHtml(origin.column)}</strong>` : 'the row';
+    if (origin.source === 'default') {
+        const from = origin.origin === 'profile' ? `account profile <strong>${escapeHtml(origin.profile)}</strong> (${origin.setting})` : `.env <strong>${origin.setting}</strong>`;
+        return `<span class="px-2 py-0.5 rounded bg-amber-100 text-amber-800 text-xs font-semibold">Default</span> from ${from}`
+            + (origin.replaced !== undefined ? `<div class="text-red-700 mt-1">Replaces ${quote(origin.replaced)} from ${column}</div>` : '');
+    }
+    if (origin.source === 'transform') {
+        return `<span class="px-2 py-0.5 rounded bg-blue-100 text-blue-800 text-xs font-semibold">Transformed</span> ${escapeHtml(origin.transform)}`
+            + `<div class="text-gray-500 mt-1">${column} had ${quote(origin.value)}</div>`;
+    }
+    return `From ${column}`;
+}
+
+// Exact payloads of a dry run, one section per row
+function showPayloadPreview(results) {
+    const fieldValue = (payload, field) => field.startsWith('lead_source.') ? payload.lead_source?.[field.slice('lead_source.'.length)] : payload[field];
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+        <div class="bg-white rounded-2xl shadow-2xl max-w-4xl w-full max-h-[90vh] flex flex-col">
+            <div class="bg-gradient-to-r from-indigo-600 to-purple-600 p-6 rounded-t-2xl flex justify-between items-center">
+                <div>
+                    <h2 class="text-2xl font-bold text-white"><i class="fas fa-code mr-3"></i>Payload Preview</h2>
+                    <p class="text-indigo-100 mt-1">What ${results.length === 1 ? 'this row sends' : `these ${results.length} rows send`} to SimplyConvert. Nothing was imported.</p>
                 </div>
-            `;
-            
-            // Show failures if any
-            if (data.failures && data.failures.length > 0) {
-                resultsDiv.innerHTML += `
-                    <div class="bg-yellow-50 border-l-4 border-yellow-500 p-6 rounded-lg">
-                        <div class="flex items-center mb-3">
-                            <i class="fas fa-exclamation-triangle text-yellow-500 text-2xl mr-3"></i>
-                            <h3 class="text-lg font-semibold text-yellow-800">Some Rows Failed</h3>
-                        </div>
-                        <div class="max-h-64 overflow-y-auto">
-                            <ul class="space-y-2">
-                                ${data.failures.map(f => `
-                                    <li class="text-yellow-800 bg-yellow-100 p-3 rounded">
-                                        <span class="font-semibold">Row ${f.row}:</span> ${f.error}
-                                    </li>
-                                `).join('')}
+                <button onclick="this.closest('.fixed').remove()" class="text-white hover:text-gray-200 text-2xl"><i class="fas fa-times"></i></button>
+            </div>
+            <div class="p-6 overflow-y-auto flex-1 space-y-6">
+                ${importModeSelect.value !== 'create' ? `
+                    <p class="text-sm text-gray-600"><i class="fas fa-info-circle mr-2 text-indigo-600"></i>Rows that match an existing case only send the fields that differ from it.</p>
+                ` : ''}
+                ${results.map(result => `
+                    <div class="border border-gray-200 rounded-lg">
+                        <div class="bg-gray-50 px-4 py-2 font-semibold text-gray-800 rounded-t-lg">${rowLabel(result)}</div>
+                        ${result.errors.length > 0 ? `
+                            <ul class="bg-yellow-50 text-yellow-800 text-sm px-4 py-2 space-y-1">
+                                ${result.errors.map(error => `<li><i class="fas fa-exclamation-triangle mr-2"></i>${escapeHtml(error.message)}</li>`).join('')}
                             </ul>
-                        </div>
+                        ` : ''}
+                        <table class="min-w-full text-sm">
+                            <tbody>
+                                ${Object.entries(result.provenance).map(([field, origin]) => `
+                                    <tr class="border-t ${origin.source === 'default' ? 'bg-amber-50' : origin.source === 'transform' ? 'bg-blue-50' : ''}">
+                                        <td class="px-4 py-2 font-mono text-gray-700 align-top">${escapeHtml(field)}</td>
+                                        <td class="px-4 py-2 font-mono text-gray-900 align-top break-all">${escapeHtml(JSON.stringify(fieldValue(result.payload, field)))}</td>
+                                        <td class="px-4 py-2 text-gray-600 align-top">${describeProvenance(origin)}</td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        <details class="border-t px-4 py-2">
+                            <summary class="cursor-pointer text-sm font-semibold text-indigo-700">Exact JSON</summary>
+                            <pre class="mt-2 text-xs bg-gray-900 text-gray-100 p-4 rounded-lg overflow-x-auto">${escapeHtml(JSON.stringify(result.payload, null, 2))}</pre>
+                        </details>
                     </div>
-                `;
-            }
+                `).join('')}
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
 
-            // Hide preview section on success
-            previewSection.classList.add('hidden');
-            
-            // Scroll to results
-            resultsDiv.scrollIntoView({ behavior: 'smooth', block: 'start' });
-        } else {
-            resultsDiv.innerHTML = `
-                <div class="bg-red-50 border-l-4 border-red-500 p-6 rounded-lg">
-                    <div class="flex items-center mb-2">
-                        <i class="fas fa-times-circle text-red-500 text-2xl mr-3"></i>
-                        <h3 class="text-lg font-semibold text-red-800">Upload Failed</h3>
+// Upload the optional documents ZIP; resolves with its bundle ID
+async function uploadDocumentsBundle() {
+    const zipFile = document.getElementById('documentsZip').files[0];
+    if (!zipFile) return undefined;
+
+    showNotification('Uploading documents ZIP...', 'info');
+    const formData = new FormData();
+    formData.append('bundle', zipFile);
+    const response = await fetch('/document-bundles', { method: 'POST', body: formData });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || 'Could not upload the documents ZIP');
+    return data.bundleId;
+}
+
+// Import progress
+function resetImportProgress(total) {
+    importFailures.innerHTML = '';
+    document.getElementById('importFailuresBox').classList.add('hidden');
+    updateImportProgress({ status: 'queued', total, processed: 0, succeeded: 0, updated: 0, unchanged: 0, skipped: 0, failed: 0, documentsUploaded: 0, documentsFailed: 0 });
+    importProgress.classList.remove('hidden');
+}
+
+function updateImportProgress(job) {
+    const percent = job.total ? Math.round((job.processed / job.total) * 100) : 0;
+    document.getElementById('importBar').style.width = `${percent}%`;
+    document.getElementById('importPercent').textContent = `${percent}%`;
+    document.getElementById('importProcessed').textContent = job.processed;
+    document.getElementById('importTotal').textContent = job.total;
+    document.getElementById('importSucceeded').textContent = job.succeeded;
+    document.getElementById('importUpdated').textContent = job.updated;
+    document.getElementById('importUnchanged').textContent = job.unchanged;
+    document.getElementById('importSkipped').textContent = job.skipped;
+    document.getElementById('importFailed').textContent = job.failed;
+    document.getElementById('importDocumentsUploaded').textContent = job.documentsUploaded;
+    document.getElementById('importDocumentsFailed').textContent = job.documentsFailed;
+    document.getElementById('importDocuments').classList.toggle('hidden', !job.documentsUploaded && !job.documentsFailed);
+    document.getElementById('importThroughput').textContent = job.throughput || '-';
+    document.getElementById('importStatusText').textContent = job.status === 'queued'
+        ? 'Starting import...'
+        : `Importing cases... (${job.processed} of ${job.total})`;
+}
+
+// Rows are named by their line in the file; rows sent without one by their position in the upload
+function rowLabel(result) {
+    return result.line ? `Line ${result.line}` : `Row ${result.row}`;
+}
+
+function appendImportFailure(failure) {
+    const li = document.createElement('li');
+    li.className = 'text-yellow-800 bg-yellow-100 px-3 py-2 rounded';
+    li.innerHTML = `<span class="font-semibold">${rowLabel(failure)}:</span> `;
+    li.appendChild(document.createTextNode(failure.error));
+    importFailures.appendChild(li);
+    document.getElementById('importFailuresBox').classList.remove('hidden');
+}
+
+// Follow a background import job over server-sent events; resolves with the final job
+function followImportJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(`/jobs/${jobId}/events`);
+
+        // Sent on connect and after every reconnect
+        source.addEventListener('snapshot', (e) => {
+            const job = JSON.parse(e.data);
+            importFailures.innerHTML = '';
+            job.failures.forEach(appendImportFailure);
+            updateImportProgress(job);
+        });
+        source.addEventListener('progress', (e) => updateImportProgress(JSON.parse(e.data)));
+        source.addEventListener('failure', (e) => appendImportFailure(JSON.parse(e.data)));
+        source.addEventListener('done', (e) => {
+            source.close();
+            resolve(JSON.parse(e.data));
+        });
+
+        // EventSource reconnects by itself; it only closes when the job is gone
+        source.onerror = () => {
+            if (source.readyState === EventSource.CLOSED) reject(new Error('Lost track of the import job'));
+        };
+    });
+}
+
+function showImportResults(data) {
+    const resultsDiv = document.getElementById('results');
+
+    // Success message
+    resultsDiv.innerHTML = `
+        <div class="bg-green-50 border-l-4 border-green-500 p-6 rounded-lg mb-4">
+            <div class="flex items-center mb-2">
+                <i class="fas fa-check-circle text-green-500 text-2xl mr-3"></i>
+                <h3 class="text-lg font-semibold text-green-800">Upload Complete!</h3>
+            </div>
+            <p class="text-green-700">${escapeHtml(data.message)}</p>
+        </div>
+    `;
+    
+    // Show failures if any
+    if (data.failures && data.failures.length > 0) {
+        resultsDiv.innerHTML += `
+            <div class="bg-yellow-50 border-l-4 border-yellow-500 p-6 rounded-lg">
+                <div class="flex items-center justify-between mb-3">
+                    <div class="flex items-center">
+                        <i class="fas fa-exclamation-triangle text-yellow-500 text-2xl mr-3"></i>
+                        <h3 class="text-lg font-semibold text-yellow-800">Some Rows Failed</h3>
                     </div>
-                    <p class="text-red-700">${data.message || 'Unknown error'}</p>
+                    ${data.failed > 0 ? `
+                        <a href="/import-history/${encodeURIComponent(data.id)}/failures.csv" class="bg-yellow-500 text-white px-4 py-2 rounded-lg hover:bg-yellow-600 transition font-semibold text-sm">
+                            <i class="fas fa-download mr-2"></i>Download Failed Rows
+                        </a>
+                    ` : ''}
                 </div>
-            `;
-        }
-    } catch (error) {
-        resultsDiv.innerHTML = `
-            <div class="bg-red-50 border-l-4 border-red-500 p-6 rounded-lg">
-                <div class="flex items-center mb-2">
-                    <i class="fas fa-times-circle text-red-500 text-2xl mr-3"></i>
-                    <h3 class="text-lg font-semibold text-red-800">Error</h3>
+                ${data.failed > 0 ? '<p class="text-sm text-yellow-700 mb-3">Fix the downloaded file and upload it again; its rows keep their original line numbers and are linked to this import.</p>' : ''}
+                <div class="max-h-64 overflow-y-auto">
+                    <ul class="space-y-2">
+                        ${data.failures.map(f => `
+                            <li class="text-yellow-800 bg-yellow-100 p-3 rounded">
+                                <span class="font-semibold">${rowLabel(f)}:</span> ${escapeHtml(f.error)}
+                            </li>
+                        `).join('')}
+                    </ul>
                 </div>
-                <p class="text-red-700">${error.message}</p>
             </div>
         `;
-    } finally {
-        uploadSelectedBtn.disabled = false;
-        progress.classList.add('hidden');
     }
-});
+
+    if (data.results && data.results.length > 0) {
+        resultsDiv.appendChild(renderRowResults(data.results));
+    }
+}
+
+// Per-row report: created, updated (with changed fields), unchanged, skipped or failed
+function renderRowResults(results) {
+    const badges = {
+        created: 'bg-green-100 text-green-800',
+        updated: 'bg-indigo-100 text-indigo-800',
+        unchanged: 'bg-gray-100 text-gray-700',
+        skipped: 'bg-blue-100 text-blue-800',
+        failed: 'bg-red-100 text-red-800'
+    };
+
+    const details = document.createElement('details');
+    details.className = 'mt-4 bg-white border border-gray-200 rounded-lg';
+    details.innerHTML = `
+        <summary class="cursor-pointer px-4 py-3 font-semibold text-gray-700">
+            <i class="fas fa-list mr-2 text-indigo-600"></i>Row-by-row results (${results.length})
+        </summary>
+        <div class="max-h-80 overflow-y-auto">
+            <table class="min-w-full text-sm">
+                <thead class="bg-gray-100 sticky top-0">
+                    <tr>
+                        <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Line</th>
+                        <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Result</th>
+                        <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Case UUID</th>
+                        <th class="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase">Details</th>
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        </div>
+    `;
+
+    const tbody = details.querySelector('tbody');
+    results.forEach(result => {
+        const tr = document.createElement('tr');
+        tr.className = 'border-b';
+        tr.innerHTML = `
+            <td class="px-4 py-2 font-medium text-gray-900">${result.line || result.row}</td>
+            <td class="px-4 py-2"><span class="px-2 py-1 rounded text-xs font-semibold ${badges[result.status] || ''}">${result.status}</span></td>
+            <td class="px-4 py-2 font-mono text-xs text-gray-600"></td>
+            <td class="px-4 py-2 text-gray-700"></td>
+        `;
+        tr.children[2].textContent = result.uuid || '';
+        tr.children[3].textContent = result.changedFields
+            ? `Changed: ${result.changedFields.join(', ')}`
+            : result.documents
+                ? `Documents: ${result.documents.uploaded.length} uploaded, ${result.documents.failed.length} failed`
+                : (result.reason || result.error || '');
+        tbody.appendChild(tr);
+    });
+
+    return details;
+}
+
+function showUploadError(title, message) {
+    document.getElementById('results').innerHTML = `
+        <div class="bg-red-50 border-l-4 border-red-500 p-6 rounded-lg">
+            <div class="flex items-center mb-2">
+                <i class="fas fa-times-circle text-red-500 text-2xl mr-3"></i>
+                <h3 class="text-lg font-semibold text-red-800">${title}</h3>
+            </div>
+            <p class="text-red-700">${escapeHtml(message)}</p>
+        </div>
+    `;
+}
 
 function showNotification(message, type) {
     const notification = document.createElement('div');
@@ -418,7 +1405,7 @@ function showNotification(message, type) {
     notification.className = `fixed top-4 right-4 p-4 rounded-lg shadow-lg ${bgColor} text-white z-50`;
     notification.innerHTML = `
         <i class="fas ${type === 'error' ? 'fa-exclamation-circle' : type === 'info' ? 'fa-info-circle' : 'fa-check-circle'} mr-2"></i>
-        ${message}
+        ${escapeHtml(message)}
     `;
     document.body.appendChild(notification);
     setTimeout(() => notification.remove(), 3000);
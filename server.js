@@ -2,9 +2,11 @@ require('dotenv').config({ path: './.env' });
 const express = require('express');
 const path = require('path');
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
+const crypto = require('crypto');
 const axios = require('axios');
+const AdmZip = require('adm-zip');
+const readExcelFile = require('read-excel-file/node');
 
 
 const app = express();
@@ -34,179 +36,1945 @@ const FEESPLIT = process.env.FEESPLIT;
 const TOTALFEE = process.env.TOTALFEE;
 const API_BASE_URL = 'https://simplyconvert.com/api/v2';
 
-// Rate limiting configuration: 150 cases per minute = 400ms per case
-const RATE_LIMIT_DELAY = 400;
+// Server-side storage for saved settings, reference data, the import ledger and history
+const DATA_DIR = path.join(__dirname, 'data');
+const MAPPING_PROFILES_FILE = path.join(DATA_DIR, 'mapping-profiles.json');
+const ACCOUNT_PROFILES_FILE = path.join(DATA_DIR, 'account-profiles.json');
+const REFERENCE_DATA_FILE = path.join(DATA_DIR, 'reference-data.json');
+const ACCOUNT_REFERENCE_DATA_DIR = path.join(DATA_DIR, 'reference-data');
+const IMPORT_LEDGER_FILE = path.join(DATA_DIR, 'import-ledger.jsonl');
+const IMPORT_HISTORY_FILE = path.join(DATA_DIR, 'import-history.jsonl');
+const IMPORT_HISTORY_DIR = path.join(DATA_DIR, 'import-history');
+
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
-// Fetch all cases from SimplyConvert API
-async function fetchAllSimplyConvertCases() {
-  if (!API_KEY) return [];
+// Per-endpoint requests per minute from the API's Limits table; unlisted endpoints share "ANY unspecified".
+const API_LIMITS = {
+  'list-cases': 300,
+  'get-case': 2000,
+  'create-case': 2000,
+  'upload-documents': 200,
+  'download-documents': 200
+};
+const DEFAULT_API_LIMIT = 2000;
+// Stay slightly under the documented limits to leave room for clock drift
+const API_LIMIT_HEADROOM = 0.9;
+const MAX_API_RETRIES = 5;
+
+// Parallel case creation per import; the rate limiter still keeps each endpoint within its budget
+const CREATE_CONCURRENCY = parseInt(process.env.CREATE_CONCURRENCY, 10) || 5;
+const MAX_CREATE_CONCURRENCY = 20;
+
+// p-limit is ESM-only, so it is loaded on first use
+let pLimit;
+const loadPLimit = async () => (pLimit = pLimit || (await import('p-limit')).default);
+
+// Clamp a requested concurrency to 1..MAX_CREATE_CONCURRENCY
+const resolveConcurrency = (value) => Math.min(Math.max(parseInt(value, 10) || CREATE_CONCURRENCY, 1), MAX_CREATE_CONCURRENCY);
+
+// Case Resource Properties from simplyconvertapiv2.apib, keyed by field with the type used for validation
+const CASE_SCHEMA = {
+  company_uuid: 'string', litigation_id: 'int', status_id: 'int',
+  fname: 'string', mname: 'string', lname: 'string', suffix: 'string',
+  email: 'email', email2: 'email', phone: 'phone', phone2: 'phone', phone3: 'phone',
+  street1: 'string', street2: 'string', city: 'string', state: 'state', zip: 'string',
+  ssn: 'string', relation: 'string', marital_status: 'string',
+  fname_injured: 'string', mname_injured: 'string', lname_injured: 'string', suffix_injured: 'string',
+  birthday_injured: 'date', death_date: 'date', email_injured: 'email', phone_injured: 'phone',
+  street1_address_injured: 'string', street2_address_injured: 'string', city_address_injured: 'string',
+  state_address_injured: 'state', zip_address_injured: 'string', state_injured: 'state', ssn_injured: 'string',
+  sol_trigger_date: 'date', procedure_date: 'date', procedure_followup_date: 'date', bot_language: 'string',
+  products: 'ids', conditions: 'ids', information: 'ids', tags: 'string[]', details: 'string',
+  lead_source: 'object', portal_status: 'portal_status', meta: 'object', external_data: 'object',
+  referral: 'boolean', referred_from_company_uuid: 'string', referred_to_company_uuid: 'string',
+  referred_from_company: 'string', referred_to_company: 'string'
+};
+
+// Referral fields by situation: referral + company_uuid, referred from/to UUIDs, or informational names.
+const REFERRAL_SITUATIONS = [
+  ['referral'],
+  ['referred_from_company_uuid', 'referred_to_company_uuid'],
+  ['referred_from_company', 'referred_to_company']
+];
+const REFERRAL_FIELDS = REFERRAL_SITUATIONS.flat();
+
+const LEAD_SOURCE_FIELDS = [
+  'pageon', 'referring_site', 'referring_url', 'referring_page', 'source', 'search_terms', 'browser',
+  'browser_version', 'os', 'device', 'country', 'region', 'city', 'isp', 'coordinates', 'postal_code',
+  'area_code', 'user_agent', 'type', 'channel'
+];
+const LEAD_SOURCE_TYPES = ['Call', 'Email', 'Embedded', 'File Import', 'Manual Intake', 'Overlay', 'API', 'Unknown'];
+const LEAD_SOURCE_CHANNELS = ['Direct', 'Organic', 'Paid', 'Referral', 'Social', 'Unknown'];
+const PORTAL_STATUSES = ['complete', 'incomplete', 'review', 'paused', 'failed review', 'review by firm', 'complete by firm'];
+const REQUIRED_CASE_FIELDS = ['litigation_id', 'status_id'];
+
+// The API expects full state names
+const US_STATES = [
+  'Alabama', 'Alaska', 'Arizona', 'Arkansas', 'California', 'Colorado', 'Connecticut', 'Delaware',
+  'District of Columbia', 'Florida', 'Georgia', 'Hawaii', 'Idaho', 'Illinois', 'Indiana', 'Iowa', 'Kansas',
+  'Kentucky', 'Louisiana', 'Maine', 'Maryland', 'Massachusetts', 'Michigan', 'Minnesota', 'Mississippi',
+  'Missouri', 'Montana', 'Nebraska', 'Nevada', 'New Hampshire', 'New Jersey', 'New Mexico', 'New York',
+  'North Carolina', 'North Dakota', 'Ohio', 'Oklahoma', 'Oregon', 'Pennsylvania', 'Puerto Rico',
+  'Rhode Island', 'South Carolina', 'South Dakota', 'Tennessee', 'Texas', 'Utah', 'Vermont', 'Virginia',
+  'Washington', 'West Virginia', 'Wisconsin', 'Wyoming'
+];
+// Postal codes of US_STATES, in the same order
+const US_STATE_CODES = [
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY',
+  'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'PR', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA',
+  'WA', 'WV', 'WI', 'WY'
+];
+
+// Column naming the files in the document bundle to attach to a row's case (not sent with the case)
+const DOCUMENTS_FIELD = 'documents';
+
+// Columns can map to any case field, a single lead_source property or the documents column
+const CASE_FIELDS = Object.keys(CASE_SCHEMA)
+  .concat(LEAD_SOURCE_FIELDS.map(field => `lead_source.${field}`))
+  .concat(DOCUMENTS_FIELD);
+
+// Read a JSON file from the data directory, falling back when it does not exist yet
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[ERROR] Failed to read ${file}:`, err.message);
+    return fallback;
+  }
+}
+
+function writeJsonFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+// Mapping profiles: { [name]: { mapping, transforms, updatedAt } }
+const loadMappingProfiles = () => readJsonFile(MAPPING_PROFILES_FILE, {});
+
+// Pick the column mapping for a request: an inline mapping wins over a saved profile name
+function resolveMapping({ mapping, mappingProfile } = {}) {
+  if (typeof mapping === 'string' && mapping.trim()) mapping = JSON.parse(mapping);
+  if (mapping && typeof mapping === 'object') return mapping;
+  if (!mappingProfile) return null;
+
+  const profile = loadMappingProfiles()[mappingProfile];
+  if (!profile) throw new Error(`Mapping profile not found: ${mappingProfile}`);
+  return profile.mapping;
+}
+
+// Rename source columns to case fields. Unmapped columns keep their name, columns mapped to '' are dropped.
+function applyColumnMapping(row, mapping) {
+  if (!mapping) return row;
+
+  const mapped = {};
+  for (const key in row) {
+    const target = Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : key;
+    if (!target) continue;
+    // Several columns can feed one field; the first non-empty value wins
+    if (mapped[target] === undefined || mapped[target] === '') mapped[target] = row[key];
+  }
+  return mapped;
+}
+
+// Cleanup rules per source column or case field, applied in order before values are sent.
+const TRANSFORM_RULES = {
+  trim: { label: 'Whitespace trimmed', apply: (value) => value.trim().replace(/\s+/g, ' ') },
+  lookup: {
+    label: 'Looked up in the value table',
+    check: ({ values }) => {
+      if (!values || typeof values !== 'object' || Array.isArray(values)) return 'lookup needs values: an object of value to replacement';
+    },
+    // Matches ignore case and surrounding whitespace; values not in the table are kept
+    apply: (value, { values }) => {
+      const key = Object.keys(values).find(from => from.trim().toLowerCase() === value.trim().toLowerCase());
+      return key === undefined ? value : String(values[key]);
+    }
+  },
+  date: {
+    label: 'Date read as YYYY-MM-DD',
+    check: ({ order }) => {
+      if (order !== undefined && !DATE_ORDERS.includes(order)) return `date order must be one of: ${DATE_ORDERS.join(', ')}`;
+    },
+    apply: (value, { order }) => parseDateValue(value, order) ?? value
+  },
+  phone: { label: 'Phone formatted', apply: formatPhoneValue },
+  state: { label: 'State name expanded', apply: expandStateName },
+  name: { label: 'Name capitalized', apply: capitalizeName }
+};
+const TRANSFORM_RULE_NAMES = Object.keys(TRANSFORM_RULES);
+const DATE_ORDERS = ['MDY', 'DMY'];
+
+// Check rules from a request or profile and bring them to { [key]: [{ rule, ...options }] }
+function normalizeTransforms(transforms) {
+  if (typeof transforms === 'string') transforms = transforms.trim() ? JSON.parse(transforms) : null;
+  if (!transforms) return null;
+  if (typeof transforms !== 'object' || Array.isArray(transforms)) {
+    throw new Error('Transforms must be an object of source column or case field to a list of rules.');
+  }
+
+  const normalized = {};
+  for (const [key, rules] of Object.entries(transforms)) {
+    normalized[key] = [].concat(rules).map(rule => {
+      const options = typeof rule === 'string' ? { rule } : { ...rule };
+      const definition = TRANSFORM_RULES[options.rule];
+      if (!definition) throw new Error(`Unknown transformation rule for ${key}: ${options.rule}. Use one of: ${TRANSFORM_RULE_NAMES.join(', ')}`);
+      const problem = definition.check?.(options);
+      if (problem) throw new Error(`${key}: ${problem}`);
+      return options;
+    });
+  }
+  return normalized;
+}
+
+// Pick the transformation rules for a request: inline transforms win over the rules of a saved profile
+function resolveTransforms({ transforms, mappingProfile } = {}) {
+  if (transforms && (typeof transforms !== 'string' || transforms.trim())) return normalizeTransforms(transforms);
+  if (!mappingProfile) return null;
+  return loadMappingProfiles()[mappingProfile]?.transforms || null;
+}
+
+// Run rules over one value; `notes` collects the label of every rule that changed it
+function runTransformRules(value, rules, notes) {
+  for (const options of rules) {
+    if (typeof value !== 'string' || value === '') break;
+    const next = TRANSFORM_RULES[options.rule].apply(value, options);
+    if (next !== value) notes.push(TRANSFORM_RULES[options.rule].label);
+    value = next;
+  }
+  return value;
+}
+
+// Apply column rules, the mapping and field rules; returns the row, its columns and what each rule changed.
+function applyTransforms(sourceRow, mapping, transforms) {
+  const columnNotes = {};
+  const cleaned = {};
+  for (const column in sourceRow) {
+    cleaned[column] = transforms?.[column] ? runTransformRules(sourceRow[column], transforms[column], columnNotes[column] = []) : sourceRow[column];
+  }
+
+  const row = applyColumnMapping(cleaned, mapping);
+  const columns = {};
+  const notes = {};
+  for (const field in row) {
+    columns[field] = findSourceColumn(cleaned, mapping, field);
+    notes[field] = [...(columnNotes[columns[field]] || [])];
+    if (transforms?.[field] && columns[field] !== field) row[field] = runTransformRules(row[field], transforms[field], notes[field]);
+  }
+  return { row, columns, notes };
+}
+
+// Parse ISO, day/month/year and Excel serial dates to YYYY-MM-DD, or null.
+function parseDateValue(value, order = 'MDY') {
+  const text = String(value).trim();
+  let year, month, day, match;
+
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/))) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4}|\d{2})$/))) {
+    [, month, day, year] = match;
+    if (order === 'DMY') [month, day] = [day, month];
+    if (parseInt(month, 10) > 12 && parseInt(day, 10) <= 12) [month, day] = [day, month];
+    if (year.length === 2) year = (parseInt(year, 10) > new Date().getFullYear() % 100 ? '19' : '20') + year;
+  } else if (/^\d{4,5}(\.\d+)?$/.test(text)) {
+    // Excel counts days from 1899-12-30 (which absorbs its made-up 29 February 1900)
+    return new Date(Date.UTC(1899, 11, 30) + Math.floor(parseFloat(text)) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) return null;
+  return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+}
+
+// Format US numbers as 123-456-7890; anything else is kept
+function formatPhoneValue(value) {
+  const digits = normalizePhone(value);
+  if (digits.length !== 10 || !/^[\d\s()+.-]+$/.test(value)) return value;
+  return `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+// "TX", "tx." or "texas" -> "Texas"
+function expandStateName(value) {
+  const text = value.trim();
+  const code = US_STATE_CODES.indexOf(text.replace(/\./g, '').toUpperCase());
+  if (code !== -1) return US_STATES[code];
+  return US_STATES.find(state => state.toLowerCase() === text.toLowerCase()) || value;
+}
+
+// Capitalize each part of a name, leaving mixed-case parts such as "DeVito" alone.
+function capitalizeName(value) {
+  return value.replace(/[^\s-]+/g, word => {
+    if (word !== word.toUpperCase() && word !== word.toLowerCase()) return word;
+    if (/^(ii|iii|iv)$/i.test(word)) return word.toUpperCase();
+    return word.toLowerCase()
+      .replace(/(^|')(\p{L})/gu, (m, separator, letter) => separator + letter.toUpperCase())
+      .replace(/^Mc(\p{L})/u, (m, letter) => `Mc${letter.toUpperCase()}`);
+  });
+}
+
+// List the case fields a column can be mapped to
+app.get('/case-fields', (req, res) => {
+  res.json({ fields: CASE_FIELDS });
+});
+
+// List saved mapping profiles
+app.get('/mapping-profiles', (req, res) => {
+  const profiles = loadMappingProfiles();
+  res.json({
+    profiles: Object.keys(profiles).sort().map(name => ({ name, ...profiles[name] }))
+  });
+});
+
+// Create or replace a mapping profile
+app.put('/mapping-profiles/:name', (req, res) => {
+  const name = req.params.name.trim();
+  const { mapping } = req.body;
+  let transforms;
+
+  if (!name) return res.status(400).json({ message: 'Profile name is required.' });
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return res.status(400).json({ message: 'Mapping must be an object of source header to case field.' });
+  }
+
+  // A column may keep its own name (pass-through), be skipped (''), or map to a case field
+  const invalid = Object.entries(mapping)
+    .filter(([header, field]) => field && field !== header && !CASE_FIELDS.includes(field))
+    .map(([, field]) => field);
+  if (invalid.length > 0) {
+    return res.status(400).json({ message: `Unknown case field(s): ${invalid.join(', ')}` });
+  }
+  try {
+    transforms = normalizeTransforms(req.body.transforms);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const profiles = loadMappingProfiles();
+    profiles[name] = { mapping, ...(transforms && Object.keys(transforms).length > 0 && { transforms }), updatedAt: new Date().toISOString() };
+    writeJsonFile(MAPPING_PROFILES_FILE, profiles);
+    res.json({ name, ...profiles[name] });
+  } catch (error) {
+    console.error('Error saving mapping profile:', error);
+    res.status(500).json({ message: `Error saving mapping profile: ${error.message}` });
+  }
+});
+
+// Delete a mapping profile
+app.delete('/mapping-profiles/:name', (req, res) => {
+  try {
+    const profiles = loadMappingProfiles();
+    if (!profiles[req.params.name]) return res.status(404).json({ message: 'Mapping profile not found.' });
+
+    delete profiles[req.params.name];
+    writeJsonFile(MAPPING_PROFILES_FILE, profiles);
+    res.json({ message: `Deleted mapping profile ${req.params.name}` });
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+    res.status(500).json({ message: `Error deleting mapping profile: ${error.message}` });
+  }
+});
+
+// Account profiles by name; requests that name none use the .env account.
+const ENV_ACCOUNT = {
+  name: null,
+  apiKey: API_KEY,
+  companyUuid: COMPANY_UUID,
+  referredFromCompanyUuid: REFERRED_FROM_COMPANY_UUID,
+  tags: TAGS ? [TAGS] : [],
+  counsel: COUNSEL,
+  feesplit: FEESPLIT,
+  totalfee: TOTALFEE
+};
+const ACCOUNT_SETTINGS = ['companyUuid', 'referredFromCompanyUuid', 'counsel', 'feesplit', 'totalfee'];
+// .env variable behind each default of ENV_ACCOUNT, so a payload preview can say where a value came from
+const ENV_SETTING_NAMES = {
+  companyUuid: 'COMPANY_UUID',
+  referredFromCompanyUuid: 'REFERRED_FROM_COMPANY_UUID',
+  tags: 'TAGS',
+  counsel: 'COUNSEL',
+  feesplit: 'FEESPLIT',
+  totalfee: 'TOTALFEE'
+};
+
+const loadAccountProfiles = () => readJsonFile(ACCOUNT_PROFILES_FILE, {});
+
+function resolveAccount(name) {
+  if (!name) return ENV_ACCOUNT;
+  const profile = loadAccountProfiles()[name];
+  if (!profile) throw new Error(`Account profile not found: ${name}`);
+  return { ...profile, name };
+}
+
+// Resolve ?account= (or account in the body) into req.account
+function withAccount(req, res, next) {
+  try {
+    req.account = resolveAccount(req.query.account || req.body?.account);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  next();
+}
+
+// API keys never leave the server in full
+const maskApiKey = (apiKey) => (apiKey ? `••••${String(apiKey).slice(-4)}` : null);
+
+const accountView = (name, profile) => ({ name, ...profile, apiKey: maskApiKey(profile.apiKey) });
+
+// List account profiles, plus whether .env has an account of its own
+app.get('/account-profiles', (req, res) => {
+  const profiles = loadAccountProfiles();
+  res.json({
+    defaultAccount: API_KEY ? accountView(null, ENV_ACCOUNT) : null,
+    profiles: Object.keys(profiles).sort().map(name => accountView(name, profiles[name]))
+  });
+});
+
+// Create or replace an account profile. Leaving apiKey empty keeps the saved key.
+app.put('/account-profiles/:name', (req, res) => {
+  const name = req.params.name.trim();
+  if (!name) return res.status(400).json({ message: 'Profile name is required.' });
+
+  try {
+    const profiles = loadAccountProfiles();
+    const previous = profiles[name];
+    const apiKey = String(req.body.apiKey || '').trim() || previous?.apiKey;
+    if (!apiKey) return res.status(400).json({ message: 'API key is required.' });
+
+    const profile = { apiKey };
+    ACCOUNT_SETTINGS.forEach(setting => {
+      const value = String(req.body[setting] ?? '').trim();
+      if (value) profile[setting] = value;
+    });
+    profile.tags = [].concat(req.body.tags || []).join(',').split(',').map(tag => tag.trim()).filter(Boolean);
+    profile.updatedAt = new Date().toISOString();
+
+    profiles[name] = profile;
+    writeJsonFile(ACCOUNT_PROFILES_FILE, profiles);
+
+    // Labels and IDs differ between accounts, so a new key needs its own reference data
+    if (previous?.apiKey !== apiKey) {
+      forgetReferenceData(name);
+      refreshReferenceData({ ...profile, name }).catch(err => console.error(`[ERROR] Failed to load reference data for ${name}:`, err.message));
+    }
+
+    res.json(accountView(name, profile));
+  } catch (error) {
+    console.error('Error saving account profile:', error);
+    res.status(500).json({ message: `Error saving account profile: ${error.message}` });
+  }
+});
+
+// Delete an account profile and its reference data
+app.delete('/account-profiles/:name', (req, res) => {
+  try {
+    const profiles = loadAccountProfiles();
+    if (!profiles[req.params.name]) return res.status(404).json({ message: 'Account profile not found.' });
+
+    delete profiles[req.params.name];
+    writeJsonFile(ACCOUNT_PROFILES_FILE, profiles);
+    forgetReferenceData(req.params.name);
+    res.json({ message: `Deleted account profile ${req.params.name}` });
+  } catch (error) {
+    console.error('Error deleting account profile:', error);
+    res.status(500).json({ message: `Error deleting account profile: ${error.message}` });
+  }
+});
+
+const isValidDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+};
+
+const isValidEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+
+// US numbers with optional +1 and common separators
+const isValidPhone = (value) => {
+  if (!/^[\d\s()+.-]+$/.test(value)) return false;
+  const digits = value.replace(/\D/g, '');
+  return digits.length === 10 || (digits.length === 11 && digits.startsWith('1'));
+};
+
+// Check a mapped payload against CASE_SCHEMA. Returns [{ field, message }].
+function validatePayload(payload) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  REQUIRED_CASE_FIELDS.forEach(field => {
+    if (payload[field] === undefined || payload[field] === null || payload[field] === '') {
+      addError(field, `Missing required field: ${field}`);
+    }
+  });
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (value === undefined || value === null || value === '') continue;
+    const str = String(value).trim();
+
+    switch (CASE_SCHEMA[field]) {
+      case 'int':
+        if (!/^\d+$/.test(str)) {
+          addError(field, REFERENCE_FIELDS[field]
+            ? `${field} must be an ID or a known ${REFERENCE_FIELDS[field]} name (got "${str}")`
+            : `${field} must be an integer`);
+        }
+        break;
+      case 'date':
+        if (!isValidDate(str)) addError(field, `${field} must be a valid date (YYYY-MM-DD)`);
+        break;
+      case 'email':
+        if (!isValidEmail(str)) addError(field, `${field} is not a valid email address`);
+        break;
+      case 'phone':
+        if (!isValidPhone(str)) addError(field, `${field} is not a valid phone number`);
+        break;
+      case 'state':
+        if (!US_STATES.includes(str)) addError(field, `${field} must be a full state name`);
+        break;
+      case 'portal_status':
+        if (!PORTAL_STATUSES.includes(str)) addError(field, `portal_status must be one of: ${PORTAL_STATUSES.join(', ')}`);
+        break;
+      case 'ids':
+        if (Array.isArray(value) && value.some(id => !Number.isInteger(id))) {
+          addError(field, `${field} has unknown ${REFERENCE_FIELDS[field]}: ${value.filter(id => !Number.isInteger(id)).join(', ')}`);
+        }
+        break;
+      case 'object':
+        if (typeof value !== 'object' || Array.isArray(value)) addError(field, `${field} must be an object`);
+        break;
+      case 'boolean':
+        if (typeof value !== 'boolean') addError(field, `${field} must be true or false`);
+        break;
+    }
+  }
+
+  validateReferral(payload).forEach(({ field, message }) => addError(field, message));
+
+  const leadSource = payload.lead_source;
+  if (leadSource && typeof leadSource === 'object') {
+    if (leadSource.type && !LEAD_SOURCE_TYPES.includes(leadSource.type)) {
+      addError('lead_source.type', `lead_source.type must be one of: ${LEAD_SOURCE_TYPES.join(', ')}`);
+    }
+    if (leadSource.channel && !LEAD_SOURCE_CHANNELS.includes(leadSource.channel)) {
+      addError('lead_source.channel', `lead_source.channel must be one of: ${LEAD_SOURCE_CHANNELS.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+// Referral fields from different situations cannot be mixed, and each situation needs its companion field
+function validateReferral(payload) {
+  const errors = [];
+  const present = (field) => payload[field] !== undefined && payload[field] !== null && payload[field] !== '';
+  const used = REFERRAL_SITUATIONS.filter(fields => fields.some(field => present(field) && payload[field] !== false));
+
+  if (used.length > 1) {
+    const fields = used.flatMap(situation => situation.filter(present));
+    return [{ field: fields[fields.length - 1], message: `Referral fields cannot be combined: ${fields.join(', ')}. Use referral with company_uuid, the company UUIDs, or the company names` }];
+  }
+
+  if (payload.referral === true && !present('company_uuid')) {
+    errors.push({ field: 'referral', message: 'referral requires company_uuid (the company the case is referred to)' });
+  }
+  if (present('referred_to_company_uuid') && !present('referred_from_company_uuid')) {
+    errors.push({ field: 'referred_to_company_uuid', message: 'referred_to_company_uuid requires referred_from_company_uuid' });
+  }
+  if (present('referred_to_company') && !present('referred_from_company')) {
+    errors.push({ field: 'referred_to_company', message: 'referred_to_company is only used together with referred_from_company' });
+  }
+  return errors;
+}
+
+// Source column that supplied a case field, so errors can point at a preview cell
+function findSourceColumn(row, mapping, field) {
+  const columns = Object.keys(row).filter(key => {
+    const target = mapping && Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : key;
+    return target === field;
+  });
+  return columns.find(key => row[key] !== '') || columns[0] || null;
+}
+
+// Rate limit buckets shared by every caller: `${apiKey}:${endpoint}` -> { nextSlot, blockedUntil }
+const rateBuckets = new Map();
+
+// Endpoints without a limit of their own share the one "ANY unspecified" budget
+function getRateBucket(apiKey, endpoint) {
+  const key = `${apiKey}:${API_LIMITS[endpoint] ? endpoint : 'default'}`;
+  if (!rateBuckets.has(key)) rateBuckets.set(key, { nextSlot: 0, blockedUntil: 0 });
+  return rateBuckets.get(key);
+}
+
+// Wait for the next free slot in an endpoint's budget, shared by every request on the account.
+async function acquireRateSlot(apiKey, endpoint) {
+  const bucket = getRateBucket(apiKey, endpoint);
+  const interval = 60000 / ((API_LIMITS[endpoint] || DEFAULT_API_LIMIT) * API_LIMIT_HEADROOM);
+
+  for (;;) {
+    const now = Date.now();
+    const slot = Math.max(now, bucket.nextSlot, bucket.blockedUntil);
+    bucket.nextSlot = slot + interval;
+    if (slot > now) await delay(slot - now);
+
+    // A 429 may have paused the endpoint while we were waiting
+    if (bucket.blockedUntil <= Date.now()) return;
+  }
+}
+
+// Delay before retrying a 429: Retry-After when sent, else exponential backoff with jitter
+function retryDelayMs(retryAfter, attempt) {
+  let wait = Math.min(1000 * 2 ** attempt, 60000);
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    wait = Number.isNaN(seconds) ? Math.max(new Date(retryAfter).getTime() - Date.now(), 0) || wait : seconds * 1000;
+  }
+  return wait + Math.floor(Math.random() * Math.min(wait / 2 + 250, 5000));
+}
+
+// Every outbound SimplyConvert API call goes through here, on behalf of an account (see resolveAccount)
+async function callApi({ account, method = 'get', path: apiPath, endpoint = 'default', params, data, headers, responseType, timeout = 30000 }) {
+  const { apiKey } = account;
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateSlot(apiKey, endpoint);
+
+    try {
+      return await axios.request({
+        method,
+        url: `${API_BASE_URL}${apiPath}`,
+        headers: { 'API-Key': apiKey, 'Content-Type': 'application/json', ...headers },
+        params,
+        data,
+        responseType,
+        timeout
+      });
+    } catch (error) {
+      if (error.response?.status !== 429 || attempt >= MAX_API_RETRIES) throw error;
+
+      // Pause the whole endpoint, not just this call
+      const wait = retryDelayMs(error.response.headers?.['retry-after'], attempt);
+      const bucket = getRateBucket(apiKey, endpoint);
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + wait);
+      console.warn(`[WARN] 429 Too Many Requests on ${method.toUpperCase()} ${apiPath}, retrying in ${wait}ms`);
+    }
+  }
+}
+
+// Reference resources cached locally so rows can use labels instead of numeric IDs
+const REFERENCE_RESOURCES = {
+  litigations: '/litigations',
+  status: '/status',
+  conditions: '/conditions',
+  products: '/products',
+  information: '/information',
+  treatments: '/treatments'
+};
+
+// Case fields whose values are IDs from a reference resource
+const REFERENCE_FIELDS = {
+  litigation_id: 'litigations',
+  status_id: 'status',
+  products: 'products',
+  conditions: 'conditions',
+  information: 'information'
+};
+
+// Reference data cache per account profile ('' for the .env account).
+const referenceDataCache = new Map();
+
+const referenceDataFile = (account) => (account.name
+  ? path.join(ACCOUNT_REFERENCE_DATA_DIR, `${encodeURIComponent(account.name)}.json`)
+  : REFERENCE_DATA_FILE);
+
+function getReferenceData(account) {
+  const key = account.name || '';
+  if (!referenceDataCache.has(key)) referenceDataCache.set(key, readJsonFile(referenceDataFile(account), { refreshedAt: null, resources: {} }));
+  return referenceDataCache.get(key);
+}
+
+// Download every reference resource and replace the account's cache
+async function refreshReferenceData(account) {
+  const resources = {};
+
+  for (const [name, endpoint] of Object.entries(REFERENCE_RESOURCES)) {
+    const response = await callApi({ account, path: endpoint, endpoint: name });
+    const items = Array.isArray(response.data) ? response.data : (response.data.data || []);
+    resources[name] = items.map(item => ({ id: String(item.id), name: item.name, ...(item.category && { category: item.category }) }));
+  }
+
+  const referenceData = { refreshedAt: new Date().toISOString(), resources };
+  referenceDataCache.set(account.name || '', referenceData);
+  writeJsonFile(referenceDataFile(account), referenceData);
+  return referenceData;
+}
+
+// Drop a profile's cached reference data (its API key changed or it was deleted)
+function forgetReferenceData(name) {
+  referenceDataCache.delete(name);
+  fs.rmSync(path.join(ACCOUNT_REFERENCE_DATA_DIR, `${encodeURIComponent(name)}.json`), { force: true });
+}
+
+// Turn an ID, "id:label" combined value or label into a numeric ID. Returns null when unknown.
+function resolveReferenceId(resource, value, account) {
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) return parseInt(str, 10);
+
+  const combined = /^(\d+):/.exec(str);
+  if (combined) return parseInt(combined[1], 10);
+
+  const label = str.toLowerCase();
+  const match = (getReferenceData(account).resources[resource] || []).find(item => String(item.name).trim().toLowerCase() === label);
+  return match ? parseInt(match.id, 10) : null;
+}
+
+// Return the account's cached reference data
+app.get('/reference-data', withAccount, (req, res) => {
+  res.json(getReferenceData(req.account));
+});
+
+// Re-download the account's reference data from SimplyConvert
+app.post('/reference-data/refresh', withAccount, async (req, res) => {
+  if (!req.account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
+
+  try {
+    res.json(await refreshReferenceData(req.account));
+  } catch (error) {
+    console.error('Error refreshing reference data:', error.message);
+    const errorMsg = error.response?.data?.message || error.message;
+    res.status(500).json({ message: `Error refreshing reference data: ${errorMsg}` });
+  }
+});
+
+// Validate rows before upload without calling the API
+app.post('/validate', withAccount, (req, res) => {
+  const { rows } = req.body;
+  if (!rows || !Array.isArray(rows)) return res.status(400).json({ message: 'No rows provided.' });
+
+  let mapping, transforms;
+  try {
+    mapping = resolveMapping(req.body);
+    transforms = resolveTransforms(req.body);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  const results = [];
+  rows.forEach((row, index) => {
+    let errors;
+    try {
+      errors = validatePayload(mapRowToPayload(row, { mapping, transforms, account: req.account }));
+    } catch (error) {
+      errors = [{ field: null, message: error.message }];
+    }
+    if (errors.length === 0) return;
+
+    results.push({
+      row: index,
+      errors: errors.map(e => ({ ...e, column: e.field ? findSourceColumn(row, mapping, e.field) : null }))
+    });
+  });
+
+  res.json({
+    valid: results.length === 0,
+    totalRows: rows.length,
+    invalidRows: results.length,
+    results
+  });
+});
+
+// Duplicate matching: search candidates by email, phone and last name, then score identity signals.
+const DUPLICATE_MATCH_THRESHOLD = 0.6;
+const MATCH_WEIGHTS = { email: 0.45, phone: 0.35, lastName: 0.2, firstName: 0.15, similarFirstName: 0.1, birthday: 0.25, birthdayMismatch: -0.3 };
+
+const normalizeEmail = (value) => String(value || '').trim().toLowerCase().replace(/^mailto:/, '');
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+
+// Last 10 digits of a US phone number
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+// Formats a phone may be stored in, so a phone search finds it however it was entered
+function phoneSearchValues(phone) {
+  if (phone.length !== 10) return [phone];
+  const [area, prefix, line] = [phone.slice(0, 3), phone.slice(3, 6), phone.slice(6)];
+  return [phone, `${area}-${prefix}-${line}`, `(${area}) ${prefix}-${line}`, `${area}.${prefix}.${line}`, `+1${phone}`];
+}
+
+// "Smith, John" as returned in case lists
+function splitListName(name) {
+  const [last, first] = String(name || '').split(',');
+  return { first: first || '', last: last || '' };
+}
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+// Emails, phones, names and birthday of a mapped row or a case from the API
+function caseIdentity(record) {
+  const client = record.fname || record.lname ? { first: record.fname, last: record.lname } : splitListName(record.name);
+  const injured = record.fname_injured || record.lname_injured
+    ? { first: record.fname_injured, last: record.lname_injured }
+    : splitListName(record.name_injured);
+
+  return {
+    emails: unique([record.email, record.email2, record.email_injured].map(normalizeEmail)),
+    phones: unique([record.phone, record.phone2, record.phone3, record.phone_injured].map(normalizePhone).filter(phone => phone.length >= 7)),
+    names: [client, injured]
+      .map(name => ({ first: normalizeName(name.first), last: normalizeName(name.last) }))
+      .filter(name => name.last),
+    birthday: record.birthday_injured ? String(record.birthday_injured).slice(0, 10) : ''
+  };
+}
+
+// Levenshtein distance, used to treat "Jon" and "John" as the same first name
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+const similarFirstNames = (a, b) => a.length >= 3 && b.length >= 3 && (a.startsWith(b) || b.startsWith(a) || editDistance(a, b) <= 1);
+
+// Confidence (0-1) that a row and an existing case are the same person, with the reasons behind it
+function scoreCaseMatch(row, existing) {
+  let score = 0;
+  const reasons = [];
+
+  if (row.emails.some(email => existing.emails.includes(email))) {
+    score += MATCH_WEIGHTS.email;
+    reasons.push('Email matches');
+  }
+  if (row.phones.some(phone => existing.phones.includes(phone))) {
+    score += MATCH_WEIGHTS.phone;
+    reasons.push('Phone matches');
+  }
+
+  // Best agreement between any name on the row and any name on the case
+  let nameScore = 0;
+  let nameReasons = [];
+  row.names.forEach(name => existing.names.forEach(other => {
+    if (name.last !== other.last) return;
+    let pairScore = MATCH_WEIGHTS.lastName;
+    const pairReasons = ['Last name matches'];
+    if (name.first && name.first === other.first) {
+      pairScore += MATCH_WEIGHTS.firstName;
+      pairReasons.push('First name matches');
+    } else if (similarFirstNames(name.first, other.first)) {
+      pairScore += MATCH_WEIGHTS.similarFirstName;
+      pairReasons.push(`First name similar (${name.first} / ${other.first})`);
+    }
+    if (pairScore > nameScore) {
+      nameScore = pairScore;
+      nameReasons = pairReasons;
+    }
+  }));
+  score += nameScore;
+  reasons.push(...nameReasons);
+
+  if (row.birthday && existing.birthday) {
+    if (row.birthday === existing.birthday) {
+      score += MATCH_WEIGHTS.birthday;
+      reasons.push('Birthday matches');
+    } else {
+      score += MATCH_WEIGHTS.birthdayMismatch;
+      reasons.push('Birthday differs');
+    }
+  }
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+}
+
+// Cases returned by a search; the cache is shared by every row of one check or import (one account)
+function searchCases(search, cache, account) {
+  if (!cache.has(search)) {
+    cache.set(search, callApi({ account, path: '/cases', endpoint: 'list-cases', params: { search, length: 1000 } })
+      .then(res => res.data.data || []));
+  }
+  return cache.get(search);
+}
+
+// Search values cannot contain the separators of the search syntax
+const searchValue = (value) => value.replace(/[:,]/g, '');
+
+// Values per batched search, so search URLs stay short and results fit in one page
+const SEARCH_BATCH_SIZE = 50;
+
+// Cases sharing an email or phone with any of the rows, indexed by value
+async function prefetchIdentityCases(identities, { cache, account }) {
+  const searches = [];
+  const emails = unique(identities.flatMap(identity => identity.emails)).map(searchValue);
+  for (let i = 0; i < emails.length; i += SEARCH_BATCH_SIZE) {
+    searches.push(`${emails.slice(i, i + SEARCH_BATCH_SIZE).join(',')}:email:EQUALS`);
+  }
+  // Each phone is searched in all of its formats
+  const phones = unique(identities.flatMap(identity => identity.phones));
+  const phonesPerSearch = Math.floor(SEARCH_BATCH_SIZE / 5);
+  for (let i = 0; i < phones.length; i += phonesPerSearch) {
+    searches.push(`${phones.slice(i, i + phonesPerSearch).flatMap(phoneSearchValues).join(',')}:phone:EQUALS`);
+  }
+
+  const byEmail = new Map();
+  const byPhone = new Map();
+  const add = (index, key, caseItem) => index.set(key, (index.get(key) || []).concat(caseItem));
+  for (const cases of await Promise.all(searches.map(search => searchCases(search, cache, account)))) {
+    cases.forEach(caseItem => {
+      const identity = caseIdentity(caseItem);
+      identity.emails.forEach(email => add(byEmail, email, caseItem));
+      identity.phones.forEach(phone => add(byPhone, phone, caseItem));
+    });
+  }
+  return { byEmail, byPhone };
+}
+
+// Existing cases that look like the same person as a mapped row, best match first
+async function findCaseMatches(payload, { cache = new Map(), account, prefetched }) {
+  const identity = caseIdentity(payload);
+  const searches = [];
+  const candidates = new Map();
+
+  if (prefetched) {
+    identity.emails.flatMap(email => prefetched.byEmail.get(email) || [])
+      .concat(identity.phones.flatMap(phone => prefetched.byPhone.get(phone) || []))
+      .forEach(caseItem => candidates.set(caseItem.uuid, caseItem));
+  } else {
+    if (identity.emails.length > 0) searches.push(`${identity.emails.map(searchValue).join(',')}:email:EQUALS`);
+    if (identity.phones.length > 0) searches.push(`${identity.phones.flatMap(phoneSearchValues).join(',')}:phone:EQUALS`);
+  }
+  unique([payload.lname, payload.lname_injured].map(name => searchValue(String(name || '').trim())))
+    .forEach(last => searches.push(`${last}:name:IN`));
+
+  for (const cases of await Promise.all(searches.map(search => searchCases(search, cache, account)))) {
+    cases.forEach(caseItem => candidates.set(caseItem.uuid, caseItem));
+  }
+
+  return [...candidates.values()]
+    .map(caseItem => ({
+      uuid: caseItem.uuid,
+      caseId: caseItem.case_id,
+      name: caseItem.name_injured || caseItem.name,
+      ...scoreCaseMatch(identity, caseIdentity(caseItem))
+    }))
+    .filter(match => match.score >= DUPLICATE_MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Group rows in one file that look like the same person.
+function findInFileDuplicates(payloads) {
+  const identities = payloads.map(caseIdentity);
+
+  const blocks = new Map();
+  identities.forEach((identity, index) => {
+    const keys = unique([
+      ...identity.emails.map(email => `email:${email}`),
+      ...identity.phones.map(phone => `phone:${phone}`),
+      ...identity.names.map(name => `name:${name.last}`)
+    ]);
+    keys.forEach(key => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(index);
+    });
+  });
+
+  // Union-find over matching pairs
+  const parent = identities.map((_, index) => index);
+  const find = (index) => {
+    while (parent[index] !== index) index = parent[index] = parent[parent[index]];
+    return index;
+  };
+
+  const compared = new Set();
+  const pairs = [];
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const [a, b] = [members[i], members[j]];
+        if (compared.has(`${a}:${b}`)) continue;
+        compared.add(`${a}:${b}`);
+
+        const { score, reasons } = scoreCaseMatch(identities[a], identities[b]);
+        if (score < DUPLICATE_MATCH_THRESHOLD) continue;
+        pairs.push({ a, reasons });
+        parent[find(b)] = find(a);
+      }
+    }
+  });
+
+  const groups = new Map();
+  identities.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, { rows: [], reasons: new Set() });
+    groups.get(root).rows.push(index);
+  });
+  pairs.forEach(pair => pair.reasons.forEach(reason => groups.get(find(pair.a)).reasons.add(reason)));
+
+  return [...groups.values()]
+    .filter(group => group.rows.length > 1)
+    .map(group => ({ rows: group.rows, reasons: [...group.reasons] }));
+}
+
+// Check rows for duplicates in the background; follow the job at /jobs/:id like an import
+app.post('/check-duplicates', withAccount, (req, res) => {
+  if (!req.account.apiKey) {
+    return res.status(500).json({ message: 'API key not configured.', duplicates: [], matches: [], inFileGroups: [] });
+  }
+
+  const { rows } = req.body;
+  if (!rows || !Array.isArray(rows) || rows.length === 0) {
+    return res.json({ duplicates: [], matches: [], inFileGroups: [] });
+  }
+
+  let payloads;
+  try {
+    const mapping = resolveMapping(req.body);
+    const transforms = resolveTransforms(req.body);
+    payloads = rows.map(row => mapRowToPayload(row, { mapping, transforms, account: req.account }));
+  } catch (error) {
+    return res.status(400).json({ message: error.message, duplicates: [], matches: [], inFileGroups: [] });
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    type: 'duplicate-check',
+    status: 'queued',
+    account: req.account.name,
+    total: payloads.length,
+    processed: 0,
+    duplicates: [],
+    matches: [],
+    // Comparing rows with each other needs no API calls
+    inFileGroups: findInFileDuplicates(payloads),
+    message: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+  runDuplicateCheck(job, payloads, req.account);
+  res.status(202).json({ jobId: job.id, total: job.total, message: `Duplicate check started for ${job.total} rows.` });
+});
+
+// Import ledger: one JSON line per row outcome, keyed by payload fingerprint.
+const importLedger = readJsonLines(IMPORT_LEDGER_FILE, 'fingerprint');
+
+// Read a JSON-lines file into a Map by one of its keys; later lines replace earlier ones
+function readJsonLines(file, key) {
+  const entries = new Map();
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error(`[ERROR] Failed to read ${file}:`, err.message);
+    return entries;
+  }
+
+  content.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      entries.set(entry[key], entry);
+    } catch (err) {
+      // A line cut short by a crash; for the ledger the row will simply be retried
+    }
+  });
+  return entries;
+}
+
+function recordLedgerEntry(entry) {
+  const record = { ...entry, updatedAt: new Date().toISOString() };
+  importLedger.set(record.fingerprint, record);
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  fs.appendFileSync(IMPORT_LEDGER_FILE, JSON.stringify(record) + '\n');
+}
+
+// JSON with sorted keys so equal payloads always hash the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Profile imports get their own fingerprints; the .env account keeps the plain ones.
+const payloadFingerprint = (payload, account) => crypto.createHash('sha256')
+  .update(stableStringify(account.name ? { account: account.name, payload } : payload))
+  .digest('hex');
+
+// UUID of a newly created case from the POST /cases response body
+const extractCaseUuid = (body) => body?.data?.uuid || body?.uuid || body?.data?.case_uuid || null;
+
+// Import history: one summary line per update, plus per-row details in import-history/<id>.json.
+const importHistory = readJsonLines(IMPORT_HISTORY_FILE, 'id');
+
+const historySummary = (job) => ({
+  id: job.id,
+  fileName: job.fileName,
+  operator: job.operator,
+  clientIp: job.clientIp,
+  account: job.account,
+  mappingProfile: job.mappingProfile,
+  retryOf: job.retryOf,
+  mode: job.mode,
+  status: job.status,
+  message: job.message,
+  total: job.total,
+  succeeded: job.succeeded,
+  updated: job.updated,
+  unchanged: job.unchanged,
+  skipped: job.skipped,
+  failed: job.failed,
+  documentsUploaded: job.documentsUploaded,
+  documentsFailed: job.documentsFailed,
+  createdAt: job.createdAt,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt
+});
+
+const importHistoryFile = (id) => path.join(IMPORT_HISTORY_DIR, `${path.basename(id)}.json`);
+
+// Full history record of an import, or null while it is still running
+const readImportRecord = (id) => readJsonFile(importHistoryFile(id), null);
+
+function writeImportHistory(summary, record) {
+  importHistory.set(summary.id, summary);
+  fs.mkdirSync(IMPORT_HISTORY_DIR, { recursive: true });
+  fs.appendFileSync(IMPORT_HISTORY_FILE, JSON.stringify(summary) + '\n');
+  if (record) writeJsonFile(importHistoryFile(summary.id), record);
+}
+
+// Record the state of an import; pass its rows once it has finished. A write error never stops the import.
+function saveImportHistory(job, rows) {
+  const summary = historySummary(job);
+  try {
+    writeImportHistory(summary, rows && { ...summary, failures: job.failures, rows });
+  } catch (error) {
+    console.error(`[ERROR] Failed to save history of import ${summary.id}:`, error.message);
+  }
+}
+
+// Imports still marked running that no job is working on were cut short by a restart
+const historyStatus = (summary) => (['queued', 'running'].includes(summary.status) && !jobs.has(summary.id) ? 'interrupted' : summary.status);
+
+// Who started an import and which failure report its rows came from.
+function importSource(req, fileName, retryOf) {
+  retryOf = req.body.retryOf || retryOf;
+  return {
+    fileName: fileName || null,
+    operator: String(req.body.operator || '').trim() || null,
+    clientIp: req.ip,
+    mappingProfile: req.body.mappingProfile || null,
+    retryOf: retryOf && importHistory.has(retryOf) ? retryOf : null
+  };
+}
+
+// Columns a failure report adds to the failed rows (see GET /import-history/:id/failures.csv)
+const FAILURE_REPORT_COLUMNS = { line: 'source_line', error: 'import_error', importId: 'source_import' };
+
+// Strip failure report columns from uploaded rows, keeping each row's original line.
+function takeFailureReportColumns(rows, uploadedLines = []) {
+  const lines = [];
+  let retryOf = null;
+  const data = rows.map((row, i) => {
+    const {
+      [FAILURE_REPORT_COLUMNS.line]: line,
+      [FAILURE_REPORT_COLUMNS.error]: error,
+      [FAILURE_REPORT_COLUMNS.importId]: importId,
+      ...columns
+    } = row;
+    const reportLine = parseInt(line, 10);
+    lines[i] = reportLine > 0 ? reportLine : parseInt(uploadedLines[i], 10) || null;
+    retryOf = retryOf || String(importId || '').trim() || null;
+    return columns;
+  });
+  return { rows: data, lines, retryOf };
+}
+
+// Import jobs run in the background; clients follow them through /jobs/:id or /jobs/:id/events
+const jobs = new Map();
+const JOB_RETENTION_MS = 60 * 60 * 1000;
+
+// Import modes: what to do with a row that matches an existing case
+const IMPORT_MODES = {
+  create: 'Create every row as a new case',
+  update: 'Update matching cases, skip rows without a match',
+  upsert: 'Update matching cases, create the rest',
+  skip: 'Skip rows that match an existing case, create the rest'
+};
+
+// Fields that cannot be changed through PUT /cases/{uuid}
+const NON_UPDATABLE_FIELDS = [
+  'company_uuid', 'referral', 'referred_from_company_uuid', 'referred_to_company_uuid',
+  'referred_from_company', 'referred_to_company'
+];
+
+// Identifier of a tag as sent (UUID string) or as returned by the API ({ id, hash, name })
+const tagKey = (tag) => (tag && typeof tag === 'object' ? String(tag.hash || tag.uuid || tag.id) : String(tag));
+
+const normalizeValue = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+// Fields in a payload that differ from the existing case. Only fields we can compare are included.
+function diffCasePayload(payload, existing) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(payload)) {
+    if (NON_UPDATABLE_FIELDS.includes(field)) continue;
+    if (!CASE_SCHEMA[field] && existing[field] === undefined) continue;
+
+    const current = existing[field];
+    const type = CASE_SCHEMA[field];
+
+    if (field === 'tags') {
+      // Tags are additive: keep what the case has and add the new ones
+      const currentKeys = (current || []).map(tagKey);
+      const added = value.map(tagKey).filter(key => !currentKeys.includes(key));
+      if (added.length > 0) changes.tags = currentKeys.concat(added);
+    } else if (type === 'ids') {
+      const currentIds = (current || []).map(item => parseInt(item && typeof item === 'object' ? item.id : item, 10)).sort();
+      const ids = Array.isArray(value) ? [...value].sort() : null;
+      if (!ids || ids.join(',') !== currentIds.join(',')) changes[field] = value;
+    } else if (type === 'object') {
+      const currentObject = current && typeof current === 'object' ? current : {};
+      if (Object.keys(value).some(key => normalizeValue(value[key]) !== normalizeValue(currentObject[key]))) changes[field] = value;
+    } else if (type === 'date') {
+      if (normalizeValue(value) !== normalizeValue(current).slice(0, 10)) changes[field] = value;
+    } else if (normalizeValue(value) !== normalizeValue(current)) {
+      changes[field] = value;
+    }
+  }
+
+  return changes;
+}
+
+// Send only the changed fields of a row to an existing case
+async function updateExistingCase(uuid, payload, account) {
+  const response = await callApi({ account, path: `/cases/${encodeURIComponent(uuid)}`, endpoint: 'get-case' });
+  const changes = diffCasePayload(payload, response.data.data || {});
+  const changedFields = Object.keys(changes);
+
+  if (changedFields.length === 0) return { status: 'unchanged', uuid };
+
+  await callApi({ account, method: 'put', path: `/cases/${encodeURIComponent(uuid)}`, endpoint: 'update-case', data: changes });
+  return { status: 'updated', uuid, changedFields };
+}
+
+// Document types accepted in file_meta; a file can be prefixed with its type ("hipaa:auth.pdf")
+const DOCUMENT_TYPES = ['retainer', 'hipaa', 'hitech', 'secondary', 'other'];
+const DEFAULT_DOCUMENT_TYPE = 'other';
+
+// Files a row names in its documents column, separated by ";", "," or "|"
+function rowDocuments(row, mapping) {
+  const value = applyColumnMapping(row, mapping)[DOCUMENTS_FIELD];
+  if (!value) return [];
+
+  return String(value).split(/[;,|]/).map(item => item.trim()).filter(Boolean).map(item => {
+    const separator = item.indexOf(':');
+    const type = separator > 0 ? item.slice(0, separator).trim().toLowerCase() : '';
+    return DOCUMENT_TYPES.includes(type)
+      ? { name: item.slice(separator + 1).trim(), type }
+      : { name: item, type: DEFAULT_DOCUMENT_TYPE };
+  });
+}
+
+// Uploaded ZIP bundles, kept on disk until the import using them finishes
+const documentBundles = new Map();
+
+function registerDocumentBundle(file) {
+  const zip = new AdmZip(file.path);
+  const bundle = {
+    id: crypto.randomUUID(),
+    path: file.path,
+    originalName: file.originalname,
+    files: zip.getEntries()
+      .filter(entry => !entry.isDirectory && !entry.entryName.startsWith('__MACOSX/'))
+      .map(entry => entry.entryName)
+  };
+  documentBundles.set(bundle.id, bundle);
+
+  // A bundle no import picks up is deleted after JOB_RETENTION_MS
+  bundle.expiry = setTimeout(() => releaseDocumentBundle(bundle), JOB_RETENTION_MS).unref();
+
+  return bundle;
+}
+
+// Forget a bundle and delete its ZIP
+function releaseDocumentBundle(bundle) {
+  clearTimeout(bundle.expiry);
+  documentBundles.delete(bundle.id);
+  fs.unlink(bundle.path, () => {});
+}
+
+// Files of a bundle by lower-cased name, with and without their folder
+function openDocumentBundle(bundle) {
+  const zip = new AdmZip(bundle.path);
+  const files = new Map();
+  zip.getEntries()
+    .filter(entry => bundle.files.includes(entry.entryName))
+    .forEach(entry => {
+      files.set(entry.entryName.toLowerCase(), entry);
+      const baseName = path.basename(entry.entryName).toLowerCase();
+      if (!files.has(baseName)) files.set(baseName, entry);
+    });
+  return files;
+}
+
+// Post each of a row's files to its case; a failed file does not stop the others
+async function uploadRowDocuments(uuid, documents, bundleFiles, account) {
+  const uploaded = [];
+  const failed = [];
+
+  for (const document of documents) {
+    if (!bundleFiles) {
+      failed.push({ file: document.name, error: 'No document bundle was uploaded' });
+      continue;
+    }
+    const entry = bundleFiles.get(document.name.toLowerCase());
+    if (!entry) {
+      failed.push({ file: document.name, error: 'File not found in the document bundle' });
+      continue;
+    }
+
+    try {
+      const filename = path.basename(entry.entryName);
+      const form = new FormData();
+      form.append('file', new Blob([entry.getData()]), filename);
+      form.append('file_meta', JSON.stringify({ filename, status: 'completed', type: document.type, notify: false, signed: false }));
+
+      await callApi({
+        account,
+        method: 'post',
+        path: `/cases/${encodeURIComponent(uuid)}/documents`,
+        endpoint: 'upload-documents',
+        data: form,
+        headers: { 'Content-Type': 'multipart/form-data' },
+        timeout: 120000
+      });
+      uploaded.push(document.name);
+    } catch (error) {
+      failed.push({ file: document.name, error: error.response?.data?.message || error.response?.data?.error || error.message });
+    }
+  }
+
+  return { uploaded, failed };
+}
+
+// Rows being imported by fingerprint, settled once the row's outcome is in the ledger
+const rowsInFlight = new Map();
+
+// Import a single row according to the job mode, skipping rows already in the ledger.
+async function importRow(row, index, { account, mapping, transforms, mode = 'create', searchCache, prefetched, bundleFiles }) {
+  let payload;
+  let fingerprint;
+  // Set once the row goes out to be created or updated; a failure counts toward throughput only if the API answered
+  let sent = false;
+  let release;
+  try {
+    payload = mapRowToPayload(row, { mapping, transforms, account });
+
+    const validationErrors = validatePayload(payload);
+    if (validationErrors.length > 0) throw new Error(validationErrors.map(e => e.message).join('; '));
+
+    fingerprint = payloadFingerprint(payload, account);
+    // An identical row already on its way to the API finishes first, so the ledger sees its outcome
+    while (rowsInFlight.has(fingerprint)) await rowsInFlight.get(fingerprint);
+    const previous = importLedger.get(fingerprint);
+    if (previous && ['created', 'updated', 'unchanged'].includes(previous.status)) {
+      return { index, payload, status: 'skipped', reason: 'Already imported', uuid: previous.uuid };
+    }
+    rowsInFlight.set(fingerprint, new Promise(resolve => { release = resolve; }));
+
+    const [match] = mode === 'create' ? [] : await findCaseMatches(payload, { cache: searchCache, account, prefetched });
+    if (match && mode === 'skip') return { index, payload, status: 'skipped', reason: 'Matches an existing case', uuid: match.uuid };
+    if (!match && mode === 'update') return { index, payload, status: 'skipped', reason: 'No existing case to update' };
+
+    sent = true;
+    if (match) {
+      const result = await updateExistingCase(match.uuid, payload, account);
+      recordLedgerEntry({ fingerprint, status: result.status, uuid: result.uuid });
+      return { index, payload, ...result };
+    }
+
+    const response = await callApi({ account, method: 'post', path: '/cases', endpoint: 'create-case', data: payload });
+
+    const uuid = extractCaseUuid(response.data);
+    recordLedgerEntry({ fingerprint, status: 'created', uuid });
+
+    // Documents go to newly created cases only
+    const documents = rowDocuments(row, mapping);
+    if (documents.length === 0) return { index, payload, status: 'created', uuid };
+    if (!uuid) {
+      return { index, payload, status: 'created', uuid, documents: { uploaded: [], failed: documents.map(document => ({ file: document.name, error: 'Case UUID missing from the create response' })) } };
+    }
+    return { index, payload, status: 'created', uuid, documents: await uploadRowDocuments(uuid, documents, bundleFiles, account) };
+  } catch (error) {
+    const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message;
+    if (fingerprint) recordLedgerEntry({ fingerprint, status: 'failed', error: errorMsg });
+    return { index, payload, status: 'failed', error: errorMsg, sent: sent && Boolean(error.response) };
+  } finally {
+    if (release) {
+      rowsInFlight.delete(fingerprint);
+      release();
+    }
+  }
+}
 
-  try {
-    let allCases = [];
-    let page = 0;
-    const limit = 100;
-    let hasMore = true;
-
-    while (hasMore) {
-      const res = await axios.get(`${API_BASE_URL}/cases`, {
-        headers: { "API-Key": API_KEY },
-        params: { limit, page },
-        timeout: 30000
-      });
+// Public view of a job (no listeners)
+function jobSummary(job) {
+  const { listeners, clientIp, ...summary } = job;
+  return summary;
+}
+
+// Push a server-sent event to everyone following a job
+function emitJobEvent(job, event, data) {
+  job.listeners.forEach(listener => listener.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+}
+
+function createJob(total, { concurrency, mode, account, source }) {
+  const job = {
+    id: crypto.randomUUID(),
+    status: 'queued',
+    ...source,
+    account: account.name,
+    mode,
+    concurrency,
+    total,
+    processed: 0,
+    succeeded: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    documentsUploaded: 0,
+    documentsFailed: 0,
+    failures: [],
+    results: [],
+    throughput: null,
+    message: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    listeners: new Set()
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+const jobProgress = (job) => ({
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  succeeded: job.succeeded,
+  updated: job.updated,
+  unchanged: job.unchanged,
+  skipped: job.skipped,
+  failed: job.failed,
+  documentsUploaded: job.documentsUploaded,
+  documentsFailed: job.documentsFailed,
+  throughput: job.throughput
+});
+
+// Cases sent to the API per minute (skipped, unchanged and locally rejected rows are not counted)
+function updateThroughput(job, sent) {
+  const minutes = (Date.now() - new Date(job.startedAt).getTime()) / 60000;
+  job.throughput = minutes > 0 && sent > 0 ? Math.round(sent / minutes) : null;
+}
+
+// Job counter for each row status
+const RESULT_COUNTERS = { created: 'succeeded', updated: 'updated', unchanged: 'unchanged', skipped: 'skipped', failed: 'failed' };
+
+// Import every row, several at a time, reporting progress as each one finishes
+async function runImportJob(job, rows, { account, mapping, transforms, bundle, lines = [] }) {
+  // The job now owns the bundle and releases it when done, however long it runs
+  if (bundle) clearTimeout(bundle.expiry);
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  saveImportHistory(job);
+  emitJobEvent(job, 'progress', jobProgress(job));
+
+  const historyRows = [];
+  let sent = 0;
+  const recordResult = (result) => {
+    const { index, payload, sent: failedWhenSent, ...outcome } = result;
+    if (failedWhenSent || ['created', 'updated'].includes(outcome.status)) sent++;
+    // `row` counts the rows sent, `line` is the row's line in the uploaded file when known
+    const position = { row: index + 1, line: lines[index] || null };
+    job.processed++;
+    job[RESULT_COUNTERS[outcome.status]]++;
+    job.results.push({ ...position, ...outcome });
+    historyRows.push({ ...position, ...outcome, payload, data: rows[index] });
+
+    if (outcome.status === 'failed') {
+      const failure = { ...position, error: outcome.error };
+      job.failures.push(failure);
+      emitJobEvent(job, 'failure', failure);
+    }
 
-      const cases = res.data.data || [];
-      allCases = allCases.concat(cases);
+    // The case exists, but some of its files did not make it
+    if (outcome.documents) {
+      job.documentsUploaded += outcome.documents.uploaded.length;
+      job.documentsFailed += outcome.documents.failed.length;
+      outcome.documents.failed.forEach(({ file, error }) => {
+        const failure = { ...position, document: file, error: `Document ${file}: ${error}` };
+        job.failures.push(failure);
+        emitJobEvent(job, 'failure', failure);
+      });
+    }
 
-      hasMore = cases.length > 0 && (cases.length === limit || res.data.hasMore === true);
-      page++;
+    updateThroughput(job, sent);
+    emitJobEvent(job, 'progress', jobProgress(job));
+  };
 
-      if (hasMore) await delay(200);
+  try {
+    // Rows of one job share search results when matching them against existing cases
+    const searchCache = new Map();
+    const bundleFiles = bundle ? openDocumentBundle(bundle) : null;
+
+    // Emails and phones of all rows are looked up together; rows that cannot be mapped fail later on their own
+    let prefetched;
+    if (job.mode !== 'create') {
+      const identities = rows.flatMap(row => {
+        try {
+          return [caseIdentity(mapRowToPayload(row, { mapping, transforms, account }))];
+        } catch (error) {
+          return [];
+        }
+      });
+      prefetched = await prefetchIdentityCases(identities, { cache: searchCache, account });
     }
 
-    return allCases;
+    const limit = (await loadPLimit())(job.concurrency);
+    await Promise.all(rows.map((row, i) => limit(async () => recordResult(await importRow(row, i, { account, mapping, transforms, mode: job.mode, searchCache, prefetched, bundleFiles })))));
 
-  } catch (err) {
-    console.error("[ERROR] Failed to fetch cases:", err.message);
-    return [];
+    // Rows finish out of order; report them in file order
+    job.results.sort((a, b) => a.row - b.row);
+    job.failures.sort((a, b) => a.row - b.row);
+    historyRows.sort((a, b) => a.row - b.row);
+
+    job.status = 'completed';
+    job.message = `Processed ${job.total} rows. Created: ${job.succeeded}, Updated: ${job.updated}, Unchanged: ${job.unchanged}, Skipped: ${job.skipped}, Failures: ${job.failed}`
+      + (job.documentsUploaded || job.documentsFailed ? `. Documents uploaded: ${job.documentsUploaded}, Document failures: ${job.documentsFailed}` : '')
+      + (job.throughput ? `. Throughput: ${job.throughput} cases/min` : '');
+  } catch (error) {
+    console.error(`Error in import job ${job.id}:`, error);
+    job.status = 'failed';
+    job.message = `Error processing cases: ${error.message}`;
+  } finally {
+    if (bundle) releaseDocumentBundle(bundle);
   }
+
+  job.finishedAt = new Date().toISOString();
+  saveImportHistory(job, historyRows);
+  finishJob(job);
 }
 
-// Check for duplicates
-app.post('/check-duplicates', async (req, res) => {
-  if (!API_KEY) {
-    return res.status(500).json({ message: 'API key not configured.', duplicates: [] });
-  }
+// Send the final state to a job's followers and forget the job after JOB_RETENTION_MS
+function finishJob(job) {
+  emitJobEvent(job, 'done', jobSummary(job));
+  job.listeners.forEach(listener => listener.end());
+  job.listeners.clear();
 
-  const { rows } = req.body;
-  if (!rows || !Array.isArray(rows) || rows.length === 0) {
-    return res.json({ duplicates: [] });
-  }
+  setTimeout(() => jobs.delete(job.id), JOB_RETENTION_MS).unref();
+}
+
+// Match each row against existing cases, searching emails and phones in batches
+async function runDuplicateCheck(job, payloads, account) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  const progress = () => emitJobEvent(job, 'progress', { status: job.status, total: job.total, processed: job.processed });
+  progress();
 
   try {
-    const allCases = await fetchAllSimplyConvertCases();
-    const duplicates = [];
+    const cache = new Map();
+    const prefetched = await prefetchIdentityCases(payloads.map(caseIdentity), { cache, account });
+    const limit = (await loadPLimit())(CREATE_CONCURRENCY);
+    await Promise.all(payloads.map((payload, index) => limit(async () => {
+      const [best] = await findCaseMatches(payload, { cache, account, prefetched });
+      if (best) job.matches.push({ row: index, ...best });
+      job.processed++;
+      progress();
+    })));
+
+    job.matches.sort((a, b) => a.row - b.row);
+    job.duplicates = job.matches.map(match => match.row);
+    job.status = 'completed';
+    job.message = `Checked ${job.total} rows. Possible duplicates: ${job.matches.length}`;
+  } catch (error) {
+    console.error(`Error in duplicate check ${job.id}:`, error);
+    job.status = 'failed';
+    job.message = `Error checking duplicates: ${error.response?.data?.message || error.message}`;
+  }
 
-    rows.forEach((row, index) => {
-      const fname = (row.fname_injured || row.fname || '').toLowerCase();
-      const lname = (row.lname_injured || row.lname || '').toLowerCase();
-      const email = (row.email_injured || row.email || '').toLowerCase();
+  job.finishedAt = new Date().toISOString();
+  finishJob(job);
+}
 
-      if (!fname && !lname && !email) return;
+// Start a background job and answer right away with its ID
+function startImportJob(res, rows, options) {
+  const job = createJob(rows.length, options);
+  runImportJob(job, rows, options);
+  res.status(202).json({
+    jobId: job.id,
+    total: job.total,
+    message: `Import started for ${job.total} rows.`,
+    // Rows of an uploaded file that were skipped or read with a problem
+    ...(options.diagnostics?.length && { diagnostics: options.diagnostics })
+  });
+}
 
-      const isDuplicate = allCases.some(caseItem => {
-        const matchesFname = !fname || (caseItem.fname_injured && caseItem.fname_injured.toLowerCase() === fname);
-        const matchesLname = !lname || (caseItem.lname_injured && caseItem.lname_injured.toLowerCase() === lname);
-        const matchesEmail = !email || (caseItem.email_injured && caseItem.email_injured.toLowerCase() === email);
+// Upload a ZIP of documents on its own; /upload-data refers to it by bundleId
+app.post('/document-bundles', upload.single('bundle'), (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'No file uploaded.' });
 
-        return matchesFname && matchesLname && matchesEmail;
-      });
+  try {
+    const bundle = registerDocumentBundle(req.file);
+    res.status(201).json({ bundleId: bundle.id, files: bundle.files });
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    res.status(400).json({ message: `Invalid ZIP file: ${error.message}` });
+  }
+});
 
-      if (isDuplicate) duplicates.push(index);
-    });
+// Row files (delimited text, Excel, JSON, JSON Lines) are all read into { headers, rows, diagnostics }.
+const ROW_FILE_FORMATS = {
+  '.csv': 'delimited', '.tsv': 'delimited', '.tab': 'delimited', '.txt': 'delimited',
+  '.xlsx': 'xlsx', '.json': 'json', '.jsonl': 'jsonl', '.ndjson': 'jsonl'
+};
+const DELIMITERS = [',', '\t', ';', '|'];
+
+function rowFileFormat(fileName) {
+  const extension = path.extname(fileName || '').toLowerCase();
+  if (extension === '.xls') throw new Error('Old .xls workbooks are not supported; save the file as .xlsx.');
+  return ROW_FILE_FORMATS[extension] || 'delimited';
+}
 
-    res.json({
-      duplicates,
-      totalRowsChecked: rows.length,
-      totalExistingCases: allCases.length
-    });
+// Decode an uploaded file from its BOM, UTF-8 or Windows-1252.
+function decodeText(buffer) {
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return { text: buffer.toString('utf8', 3), encoding: 'utf-8' };
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8' };
   } catch (error) {
-    console.error('Error in /check-duplicates endpoint:', error);
-    res.status(500).json({
-      message: `Error checking duplicates: ${error.message}`,
-      duplicates: []
-    });
+    return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252' };
   }
-});
+}
 
-// Upload CSV
-app.post('/upload', upload.single('csvfile'), (req, res) => {
-  if (!req.file) return res.status(400).send('No file uploaded.');
-  if (!API_KEY) return res.status(500).send('API key not configured.');
+// The delimiter that splits the header line into the most columns (quoted text is ignored)
+function detectDelimiter(headerLine) {
+  const unquoted = headerLine.replace(/"[^"]*"/g, '');
+  const counts = DELIMITERS.map(delimiter => unquoted.split(delimiter).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? DELIMITERS[best] : ',';
+}
 
-  const results = [];
+// Split delimited text into records, noting each record's line and quoting problems.
+function splitRecords(text, delimiter) {
+  const records = [];
+  let line = 1;
+  let record = { line, values: [], issues: [] };
+  let value = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  const endValue = () => {
+    record.values.push(value.trim());
+    value = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endValue();
+    const blank = record.values.length === 1 && record.values[0] === '' && record.issues.length === 0;
+    if (!blank) records.push(record);
+    record = { line, values: [], issues: [] };
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else if (char === '\r' && text[i + 1] === '\n') {
+        // Line breaks inside values are kept as \n
+      } else {
+        if (char === '\n' || char === '\r') line++;
+        value += char === '\r' ? '\n' : char;
+      }
+    } else if (char === '"' && !wasQuoted && value.trim() === '') {
+      quoted = true;
+      wasQuoted = true;
+      value = '';
+    } else if (char === delimiter) {
+      endValue();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      if (char === '"' || wasQuoted) {
+        const issue = char === '"' ? `Stray quote in value ${record.values.length + 1}` : `Text after the closing quote of value ${record.values.length + 1}`;
+        if (!record.issues.includes(issue)) record.issues.push(issue);
+      }
+      value += char;
+    }
+  }
+
+  if (quoted) record.unterminated = true;
+  endRecord();
+  return records;
+}
+
+// Header names must be unique and non-empty to key the row objects
+function uniqueHeaders(names, line, diagnostics) {
+  const seen = new Map();
+  return names.map((name, i) => {
+    let header = name || `Column ${i + 1}`;
+    if (!name) diagnostics.push({ line, severity: 'warning', message: `A column has no header and is named "${header}"` });
+    const count = (seen.get(header.toLowerCase()) || 0) + 1;
+    seen.set(header.toLowerCase(), count);
+    if (count > 1) {
+      diagnostics.push({ line, severity: 'warning', message: `Column "${header}" appears more than once; column ${i + 1} is named "${header} (${count})"` });
+      header = `${header} (${count})`;
+    }
+    return header;
+  });
+}
+
+function readDelimitedFile(filePath) {
+  const { text, encoding } = decodeText(fs.readFileSync(filePath));
+  const diagnostics = [];
+  if (encoding === 'windows-1252') diagnostics.push({ line: null, severity: 'warning', message: 'The file is not UTF-8; it was read as Windows-1252. Check accented letters in the preview.' });
+
+  const delimiter = detectDelimiter(text.slice(0, text.search(/\r|\n|$/)));
+  const [headerRecord, ...records] = splitRecords(text, delimiter);
+  if (!headerRecord) throw new Error('The file is empty.');
+  const headers = uniqueHeaders(headerRecord.values, headerRecord.line, diagnostics);
+
+  const rows = [];
+  records.forEach(record => {
+    const skip = (message) => diagnostics.push({ line: record.line, severity: 'skipped', message });
+    if (record.unterminated) return skip('A quoted value is never closed, so the rest of the file would be one value');
+
+    // Trailing delimiters (empty values past the last column) are harmless
+    let values = record.values;
+    while (values.length > headers.length && values[values.length - 1] === '') values = values.slice(0, -1);
+    if (values.length !== headers.length) return skip(`Has ${values.length} value${values.length !== 1 ? 's' : ''} but the header has ${headers.length} columns`);
+
+    record.issues.forEach(message => diagnostics.push({ line: record.line, severity: 'warning', message }));
+    rows.push({ line: record.line, data: Object.fromEntries(headers.map((header, i) => [header, values[i]])) });
+  });
+  return { delimiter, encoding, headers, rows, diagnostics };
+}
+
+// Cell values are kept as the text the row would have had in a CSV export
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (Array.isArray(value)) return value.map(cellText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value).trim();
+}
 
-  fs.createReadStream(req.file.path)
-    .pipe(csv())
-    .on('data', (data) => results.push(data))
-    .on('end', async () => {
+// Headers are the keys of all rows in first-seen order
+const rowHeaders = (rows) => [...new Set(rows.flatMap(row => Object.keys(row.data)))];
+
+// One sheet of a workbook; the first row holds the headers and `line` is the sheet row number
+async function readWorkbook(filePath, sheet) {
+  const sheets = await readExcelFile(filePath);
+  const selected = sheet ? sheets.find(item => item.sheet === sheet) : sheets[0];
+  if (!selected) throw new Error(`Sheet not found: ${sheet}`);
+
+  const diagnostics = [];
+  const [headerRow = [], ...dataRows] = selected.data;
+  const headers = uniqueHeaders(headerRow.map(cellText), 1, diagnostics);
+  const rows = [];
+  dataRows.forEach((values, i) => {
+    if (values.every(value => cellText(value) === '')) return;
+    // Values beyond the last header would have nowhere to go
+    if (values.slice(headers.length).some(value => cellText(value) !== '')) {
+      diagnostics.push({ line: i + 2, severity: 'warning', message: `Values past column ${headers.length} have no header and were left out` });
+    }
+    const data = {};
+    headers.forEach((header, column) => { data[header] = cellText(values[column]); });
+    rows.push({ line: i + 2, data });
+  });
+  return { sheets: sheets.map(item => item.sheet), sheet: selected.sheet, headers, rows, diagnostics };
+}
+
+// A JSON array of row objects (or { "rows": [...] }), or JSON Lines with one object per line
+function readJsonRowsFile(filePath, format) {
+  const { text } = decodeText(fs.readFileSync(filePath));
+  const diagnostics = [];
+  let records;
+  if (format === 'jsonl') {
+    records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
       try {
+        records.push({ line: i + 1, record: JSON.parse(line) });
+      } catch (error) {
+        diagnostics.push({ line: i + 1, severity: 'skipped', message: `Not valid JSON: ${error.message}` });
+      }
+    });
+  } else {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : parsed?.rows || parsed?.data;
+    if (!Array.isArray(list)) throw new Error('Expected a JSON array of rows, or an object with a "rows" array.');
+    records = list.map(record => ({ line: null, record }));
+  }
 
-        const total = results.length;
-        const processed = [];
-        const failures = [];
+  const rows = [];
+  records.forEach(({ line, record }, i) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      diagnostics.push({ line, severity: 'skipped', message: line ? 'Not a JSON object' : `Row ${i + 1} is not a JSON object` });
+      return;
+    }
+    rows.push({ line, data: Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim(), cellText(value)])) });
+  });
+  return { headers: rowHeaders(rows), rows, diagnostics };
+}
 
-        const createCase = async (row, index) => {
-          let payload;
-          try {
-            payload = mapRowToPayload(row);
+// Read an uploaded row file in whatever format its extension names
+async function readRowFile(filePath, fileName, { sheet } = {}) {
+  const format = rowFileFormat(fileName);
+  const parsed = format === 'xlsx' ? await readWorkbook(filePath, sheet)
+    : format === 'json' || format === 'jsonl' ? readJsonRowsFile(filePath, format)
+      : readDelimitedFile(filePath);
+  parsed.diagnostics.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { format, ...parsed };
+}
 
-            if (!payload.litigation_id) throw new Error('Missing required field: litigation_id');
-            if (!payload.status_id) throw new Error('Missing required field: status_id');
+// Preview a row file: its rows, sheet names and diagnostics.
+app.post('/parse-file', upload.single('file'), async (req, res) => {
+  if (!req.file) return res.status(400).json({ message: 'No file uploaded.' });
 
-            const response = await axios.post(`${API_BASE_URL}/cases`, payload, {
-              headers: { 'API-Key': API_KEY, 'Content-Type': 'application/json' }
-            });
+  try {
+    const parsed = await readRowFile(req.file.path, req.file.originalname, { sheet: req.body.sheet });
+    if (parsed.rows.length === 0) return res.status(400).json({ message: 'The file has no rows.' });
+    res.json({ fileName: req.file.originalname, ...parsed });
+  } catch (error) {
+    res.status(400).json({ message: `Error reading file: ${error.message}` });
+  } finally {
+    fs.unlinkSync(req.file.path);
+  }
+});
 
-            return { success: true, index, data: response.data };
-          } catch (error) {
+// Upload a row file (CSV, TSV, Excel or JSON), optionally with a ZIP of documents
+app.post('/upload', upload.fields([{ name: 'csvfile', maxCount: 1 }, { name: 'documents', maxCount: 1 }]), (req, res) => {
+  const csvFile = req.files?.csvfile?.[0];
+  const documentsFile = req.files?.documents?.[0];
+  const discardUploads = () => [csvFile, documentsFile].forEach(file => file && fs.unlinkSync(file.path));
 
-            const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message;
-            return { success: false, index, error: errorMsg };
-          }
-        };
+  if (!csvFile) {
+    discardUploads();
+    return res.status(400).send('No file uploaded.');
+  }
+  let account;
+  try {
+    account = resolveAccount(req.query.account || req.body.account);
+  } catch (error) {
+    discardUploads();
+    return res.status(400).send(error.message);
+  }
+  const dryRun = isDryRun(req);
+  if (!account.apiKey && !dryRun) {
+    discardUploads();
+    return res.status(500).send('API key not configured.');
+  }
 
-        for (let i = 0; i < results.length; i++) {
-          const result = await createCase(results[i], i);
-          if (result.success) processed.push(result);
-          else failures.push(result);
+  let mapping, transforms;
+  try {
+    mapping = resolveMapping(req.body);
+    transforms = resolveTransforms(req.body);
+  } catch (error) {
+    discardUploads();
+    return res.status(400).send(error.message);
+  }
 
-          if (i < results.length - 1) await delay(RATE_LIMIT_DELAY);
-        }
+  const mode = req.body.mode || 'create';
+  if (!IMPORT_MODES[mode]) {
+    discardUploads();
+    return res.status(400).send(`Unknown import mode: ${mode}`);
+  }
 
-        fs.unlinkSync(req.file.path);
+  let bundle = null;
+  if (documentsFile && !dryRun) {
+    try {
+      bundle = registerDocumentBundle(documentsFile);
+    } catch (error) {
+      discardUploads();
+      return res.status(400).send(`Invalid ZIP file: ${error.message}`);
+    }
+  }
 
-        res.json({
-          message: `Processed ${total} rows. Success: ${processed.length}, Failures: ${failures.length}`,
-          failures: failures.map(f => ({ row: f.index + 1, error: f.error }))
-        });
-      } catch (error) {
-       
-        fs.unlinkSync(req.file.path);
-        res.status(500).send(`Error processing cases: ${error.message}`);
+  readRowFile(csvFile.path, csvFile.originalname, { sheet: req.body.sheet })
+    .then(({ rows, diagnostics }) => {
+      if (rows.length === 0) {
+        if (bundle) releaseDocumentBundle(bundle);
+        return res.status(400).send('The file has no rows.');
       }
+      const report = takeFailureReportColumns(rows.map(row => row.data), rows.map(row => row.line));
+      if (dryRun) return sendDryRun(res, report.rows, { account, mapping, transforms, diagnostics, lines: report.lines });
+      startImportJob(res, report.rows, { account, mapping, transforms, mode, bundle, diagnostics, lines: report.lines, concurrency: resolveConcurrency(req.body.concurrency), source: importSource(req, csvFile.originalname, report.retryOf) });
     })
-    .on('error', (error) => {
-
-      fs.unlinkSync(req.file.path);
-      res.status(500).send(`Error reading CSV: ${error.message}`);
+    .catch((error) => {
+      // No job will use the documents
+      if (bundle) releaseDocumentBundle(bundle);
+      res.status(400).send(`Error reading file: ${error.message}`);
+    })
+    .finally(() => {
+      fs.unlinkSync(csvFile.path);
+      // A dry run never reads the documents
+      if (dryRun && documentsFile) fs.unlinkSync(documentsFile.path);
     });
 });
 
-function mapRowToPayload(row) {
+// Build the API payload for a row and the provenance of each field.
+function buildPayload(sourceRow, { mapping, transforms, account }) {
+    const { row, columns, notes } = applyTransforms(sourceRow, mapping, transforms);
     const payload = {};
+    const provenance = {};
     const arrayFields = ['products', 'conditions', 'information', 'tags'];
-    const intArrayFields = ['conditions', 'information'];
-    const dateFields = ['birthday_injured', 'birthday', 'date_of_accident', 'incident_date'];
-
-  const formatDate = (dateStr) => {
-    if (!dateStr || dateStr.trim() === '') return dateStr;
-      const parts = dateStr.split('/');
-    if (parts.length === 3) {
-      const month = parts[0].padStart(2, '0');
-      const day = parts[1].padStart(2, '0');
-      const year = parts[2];
-      return `${year}-${month}-${day}`;
-    }
-      return dateStr;
-  };
+    const dateFields = Object.keys(CASE_SCHEMA).filter(field => CASE_SCHEMA[field] === 'date')
+      .concat(['birthday', 'date_of_accident', 'incident_date']);
 
   const cleanArrayValue = (str) => str.replace(/^\[|\]$/g, '').trim();
 
+  // Note the column behind a field, and the rules and conversions that rewrote its value if any did
+  const trace = (key, conversion) => {
+    const column = columns[key];
+    const value = key.startsWith('lead_source.') ? payload.lead_source?.[key.slice('lead_source.'.length)] : payload[key];
+    const steps = value === row[key] || !conversion ? notes[key] : notes[key].concat(conversion);
+    provenance[key] = steps.length === 0 ? { source: 'column', column } : { source: 'transform', column, value: sourceRow[column], transform: steps.join('; ') };
+  };
+
   for (const key in row) {
-    if (row[key] === '') continue;
+    if (row[key] === '' || key === DOCUMENTS_FIELD) continue;
 
-    if (key === 'meta') {
+    if (key.startsWith('lead_source.')) {
+      payload.lead_source = { ...payload.lead_source, [key.slice('lead_source.'.length)]: row[key] };
+      trace(key);
+    }
+    else if (key === 'lead_source') {
+      try {
+        payload.lead_source = { ...JSON.parse(row[key]), ...payload.lead_source };
+      } catch (error) {
+        payload.lead_source = row[key];
+      }
+      trace(key, 'Read as JSON');
+    }
+    else if (key === 'meta') {
 
       try {
           const metaStr = row[key].trim();
@@ -235,122 +2003,650 @@ function mapRowToPayload(row) {
           payload[key] = row[key];
         }
       }
+      trace(key, 'Rewritten from key: value text into an object');
     }
       else if (arrayFields.includes(key)) {
-      const cleanedArray = row[key].split(',').map(item => cleanArrayValue(item));
-      payload[key] = intArrayFields.includes(key) ? cleanedArray.map(item => parseInt(item, 10)).filter(n => !isNaN(n)) : cleanedArray;
+      const cleanedArray = row[key].split(',').map(item => cleanArrayValue(item)).filter(item => item !== '');
+      const resource = REFERENCE_FIELDS[key];
+      if (!resource) {
+        payload[key] = cleanedArray;
+      } else if (!(getReferenceData(account).resources[resource] || []).length) {
+        // Nothing cached: send IDs as-is, or labels as a string for the API's best-effort matching
+        payload[key] = cleanedArray.every(item => /^\d+$/.test(item)) ? cleanedArray.map(item => parseInt(item, 10)) : cleanedArray.join(', ');
+      } else {
+        // IDs and known labels become integer IDs; unknown labels are kept so validation can report them
+        payload[key] = cleanedArray.map(item => resolveReferenceId(resource, item, account) ?? item);
+      }
+      const resolvedNames = resource && cleanedArray.some(item => !/^\d+$/.test(item));
+      trace(key, !Array.isArray(payload[key]) ? 'Kept as text for the API to match'
+        : resolvedNames ? `Split into a list, names resolved to ${resource} IDs` : 'Split into a list');
+    }
+      else if (REFERENCE_FIELDS[key]) {
+      payload[key] = resolveReferenceId(REFERENCE_FIELDS[key], row[key], account) ?? row[key];
+      // A plain ID is only read as a number, not resolved
+      trace(key, /^\d+$/.test(row[key].trim()) ? null : `Resolved to a ${REFERENCE_FIELDS[key]} ID`);
     }
       else if (dateFields.includes(key)) {
-      payload[key] = formatDate(row[key]);
+      // Dates a rule did not read are taken as month/day/year
+      payload[key] = parseDateValue(row[key]) ?? row[key];
+      trace(key, 'Date read as YYYY-MM-DD');
+    }
+    else if (CASE_SCHEMA[key] === 'boolean') {
+      // Unrecognised values are kept so validation can report them
+      const flag = row[key].trim().toLowerCase();
+      payload[key] = ['true', 'yes', 'y', '1'].includes(flag) ? true : ['false', 'no', 'n', '0'].includes(flag) ? false : row[key];
+      trace(key, 'Read as true/false');
     } else {
       payload[key] = row[key];
+      trace(key);
     }
   }
 
-  if (COMPANY_UUID) payload.company_uuid = COMPANY_UUID;
-  if (REFERRED_FROM_COMPANY_UUID) payload.referred_from_company_uuid = REFERRED_FROM_COMPANY_UUID;
-  if (TAGS) payload.tags = [TAGS];
-  if (COUNSEL) payload.counsel = COUNSEL;
-  if (FEESPLIT) payload.feesplit = FEESPLIT;
-  if (TOTALFEE) payload.totalfee = TOTALFEE;
+  // Account defaults win over the row; the value they replace is kept in the provenance
+  const applyDefault = (field, setting) => {
+    provenance[field] = {
+      source: 'default',
+      origin: account.name ? 'profile' : 'env',
+      ...(account.name && { profile: account.name }),
+      setting: account.name ? setting : ENV_SETTING_NAMES[setting],
+      ...(payload[field] !== undefined && { replaced: payload[field], column: provenance[field]?.column })
+    };
+    payload[field] = account[setting];
+  };
+
+  // Referral rows keep the company they name, and rows posted on behalf of another company send none
+  const onBehalf = REFERRAL_SITUATIONS[1].some(field => payload[field] !== undefined);
+  if (account.companyUuid && payload.referral !== true && !onBehalf) applyDefault('company_uuid', 'companyUuid');
+  // The account's referring company fills in rows with no referral or only a referred-to company (referral=false refers nowhere)
+  const ownReferral = REFERRAL_FIELDS.filter(field => payload[field] !== undefined && payload[field] !== false);
+  if (account.referredFromCompanyUuid && (ownReferral.length === 0 || ownReferral.join() === 'referred_to_company_uuid')) {
+    applyDefault('referred_from_company_uuid', 'referredFromCompanyUuid');
+  }
+  if (account.tags?.length) applyDefault('tags', 'tags');
+  if (account.counsel) applyDefault('counsel', 'counsel');
+  if (account.feesplit) applyDefault('feesplit', 'feesplit');
+  if (account.totalfee) applyDefault('totalfee', 'totalfee');
+
+  return { payload, provenance };
+}
+
+function mapRowToPayload(row, options) {
+  return buildPayload(row, options).payload;
+}
 
-  return payload;
+// dryRun=true (in the query or the body) builds the payloads of an import without calling the API
+const isDryRun = (req) => [true, 'true', '1'].includes(req.query.dryRun ?? req.body.dryRun);
+
+// Answer a dry run with each row's payload, provenance and validation.
+function sendDryRun(res, rows, { account, mapping, transforms, lines = [], diagnostics }) {
+  res.json({
+    dryRun: true,
+    total: rows.length,
+    rows: rows.map((row, index) => {
+      const { payload, provenance } = buildPayload(row, { mapping, transforms, account });
+      return { row: index + 1, line: lines[index] || null, payload, provenance, errors: validatePayload(payload) };
+    }),
+    ...(diagnostics?.length && { diagnostics })
+  });
 }
 
 // POST endpoint to upload selected data rows
-app.post('/upload-data', async (req, res) => {
-  if (!API_KEY) return res.status(500).json({ message: 'API key not configured.' });
+app.post('/upload-data', withAccount, (req, res) => {
+  const dryRun = isDryRun(req);
+  if (!req.account.apiKey && !dryRun) return res.status(500).json({ message: 'API key not configured.' });
 
-  const { rows } = req.body;
-  if (!rows || !Array.isArray(rows) || rows.length === 0) return res.status(400).json({ message: 'No rows provided.' });
+  if (!Array.isArray(req.body.rows) || req.body.rows.length === 0) return res.status(400).json({ message: 'No rows provided.' });
+  const { rows, lines, retryOf } = takeFailureReportColumns(req.body.rows, Array.isArray(req.body.lines) ? req.body.lines : []);
 
-    try {
-    const total = rows.length;
-    const processed = [];
-    const failures = [];
+  let mapping, transforms;
+  try {
+    mapping = resolveMapping(req.body);
+    transforms = resolveTransforms(req.body);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
 
-    const createCase = async (row, index) => {
-      let payload;
-      try {
-        payload = mapRowToPayload(row);
-        if (!payload.litigation_id) throw new Error('Missing required field: litigation_id');
-        if (!payload.status_id) throw new Error('Missing required field: status_id');
+  const mode = req.body.mode || 'create';
+  if (!IMPORT_MODES[mode]) return res.status(400).json({ message: `Unknown import mode: ${mode}` });
+  if (dryRun) return sendDryRun(res, rows, { account: req.account, mapping, transforms, lines });
 
-        const response = await axios.post(`${API_BASE_URL}/cases`, payload, {
-          headers: { 'API-Key': API_KEY, 'Content-Type': 'application/json' }
-        });
+  const bundle = req.body.bundleId ? documentBundles.get(req.body.bundleId) : null;
+  if (req.body.bundleId && !bundle) return res.status(400).json({ message: 'Document bundle not found. Upload the ZIP again.' });
 
-        return { success: true, index, data: response.data };
-      }
-        catch (error) {
-        const errorMsg = error.response?.data?.message || error.response?.data?.error || error.message;
-        return { success: false, index, error: errorMsg };
-      }
+  startImportJob(res, rows, { account: req.account, mapping, transforms, mode, bundle, lines, concurrency: resolveConcurrency(req.body.concurrency), source: importSource(req, req.body.fileName, retryOf) });
+});
+
+// Poll the state of an import job
+app.get('/jobs/:id', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ message: 'Job not found.' });
+  res.json(jobSummary(job));
+});
+
+// Stream import and duplicate check progress as server-sent events
+app.get('/jobs/:id/events', (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job) return res.status(404).json({ message: 'Job not found.' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Late subscribers and reconnects get the full state first
+  res.write(`event: snapshot\ndata: ${JSON.stringify(jobSummary(job))}\n\n`);
+  if (job.finishedAt) {
+    res.write(`event: done\ndata: ${JSON.stringify(jobSummary(job))}\n\n`);
+    return res.end();
+  }
+
+  job.listeners.add(res);
+  req.on('close', () => job.listeners.delete(res));
+});
+
+const HISTORY_PAGE_SIZE = 50;
+
+// Past imports, newest first, filtered by search text, case UUID or start date.
+app.get('/import-history', (req, res) => {
+  const q = String(req.query.q || '').trim().toLowerCase();
+  const caseUuid = String(req.query.case || '').trim().toLowerCase();
+  const { from, to } = req.query;
+  if ([from, to].some(date => date && !isValidDate(date))) return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD).' });
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || HISTORY_PAGE_SIZE, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  try {
+    let imports = [...importHistory.values()]
+      .map(summary => ({ ...summary, status: historyStatus(summary) }))
+      .filter(summary => !from || summary.createdAt.slice(0, 10) >= from)
+      .filter(summary => !to || summary.createdAt.slice(0, 10) <= to)
+      .filter(summary => !q || [summary.id, summary.fileName, summary.operator, summary.account, summary.mappingProfile]
+        .some(value => value && String(value).toLowerCase().includes(q)));
+
+    // Case UUIDs are only in the detail files
+    if (caseUuid) {
+      imports = imports.filter(summary => {
+        const record = readImportRecord(summary.id);
+        return record?.rows.some(row => String(row.uuid || '').toLowerCase() === caseUuid);
+      });
+    }
+
+    imports.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    res.json({ total: imports.length, offset, imports: imports.slice(offset, offset + limit) });
+  } catch (error) {
+    console.error('Error reading import history:', error);
+    res.status(500).json({ message: `Error reading import history: ${error.message}` });
+  }
+});
+
+// One import with its failures and every row: source data, payload, outcome and case UUID
+app.get('/import-history/:id', (req, res) => {
+  const summary = importHistory.get(req.params.id);
+  if (!summary) return res.status(404).json({ message: 'Import not found.' });
+
+  const record = readImportRecord(req.params.id);
+  // Imports of this import's failure report
+  const retries = [...importHistory.values()]
+    .filter(item => item.retryOf === summary.id)
+    .map(item => ({ id: item.id, fileName: item.fileName, createdAt: item.createdAt }));
+  res.json({ failures: [], rows: [], rollbacks: [], ...record, ...summary, status: historyStatus(summary), retries });
+});
+
+// Rollback: archive the cases an import created; partial rollbacks can be retried.
+function rollbackPlan(record) {
+  const archived = new Set((record.rollbacks || []).flatMap(attempt => attempt.results
+    .filter(result => result.status === 'archived')
+    .map(result => result.uuid)));
+  const created = record.rows.filter(row => row.status === 'created');
+
+  const caseOf = (row) => ({
+    row: row.row,
+    uuid: row.uuid,
+    name: [row.payload?.fname, row.payload?.lname].filter(Boolean).join(' ') || null
+  });
+  return {
+    pending: created.filter(row => row.uuid && !archived.has(row.uuid)).map(caseOf),
+    archived: created.filter(row => archived.has(row.uuid)).map(caseOf),
+    // Cases whose UUID the create call did not return cannot be archived from here
+    missingUuid: created.filter(row => !row.uuid).map(caseOf)
+  };
+}
+
+const unfinishedImportMessage = (summary) => (historyStatus(summary) === 'interrupted'
+  ? 'The import was interrupted before its rows were saved.'
+  : 'The import has not finished yet.');
+
+// Imports being rolled back right now, so two attempts never archive the same cases at once
+const rollbacksInProgress = new Set();
+
+// Preview which cases a rollback would archive
+app.get('/import-history/:id/rollback', (req, res) => {
+  const summary = importHistory.get(req.params.id);
+  if (!summary) return res.status(404).json({ message: 'Import not found.' });
+
+  const record = readImportRecord(req.params.id);
+  if (!record) return res.status(409).json({ message: unfinishedImportMessage(summary) });
+
+  res.json({ importId: summary.id, account: summary.account, ...rollbackPlan(record) });
+});
+
+// Archive the cases an import created. `uuids` limits the attempt to some of them (retrying failures).
+app.post('/import-history/:id/rollback', async (req, res) => {
+  const summary = importHistory.get(req.params.id);
+  if (!summary) return res.status(404).json({ message: 'Import not found.' });
+
+  const record = readImportRecord(req.params.id);
+  if (!record) return res.status(409).json({ message: unfinishedImportMessage(summary) });
+
+  let account;
+  try {
+    account = resolveAccount(summary.account);
+  } catch (error) {
+    return res.status(400).json({ message: `The import's account is no longer available: ${error.message}` });
+  }
+  if (!account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
+
+  const pending = rollbackPlan(record).pending.map(item => item.uuid);
+  const uuids = Array.isArray(req.body.uuids) ? pending.filter(uuid => req.body.uuids.includes(uuid)) : pending;
+  if (uuids.length === 0) return res.status(400).json({ message: 'No cases left to roll back.' });
+  if (rollbacksInProgress.has(summary.id)) return res.status(409).json({ message: 'This import is already being rolled back.' });
+
+  rollbacksInProgress.add(summary.id);
+  try {
+    const results = await runBulkAction(BULK_ACTIONS.archive, uuids, null, account);
+    const attempt = {
+      at: new Date().toISOString(),
+      operator: String(req.body.operator || '').trim() || null,
+      clientIp: req.ip,
+      archived: results.filter(result => result.status === 'archived').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      results
+    };
+
+    // Archived rows can be imported again, so the ledger must no longer report them as imported
+    const archivedUuids = new Set(results.filter(result => result.status === 'archived').map(result => result.uuid));
+    record.rows.filter(row => archivedUuids.has(row.uuid) && row.payload).forEach(row => {
+      const fingerprint = payloadFingerprint(row.payload, account);
+      if (importLedger.get(fingerprint)?.uuid === row.uuid) recordLedgerEntry({ fingerprint, status: 'archived', uuid: row.uuid });
+    });
+
+    const rollbacks = (record.rollbacks || []).concat(attempt);
+    const remaining = rollbackPlan({ ...record, rollbacks }).pending.length;
+    const rollback = {
+      status: remaining === 0 ? 'rolled back' : 'partially rolled back',
+      archived: rollbacks.reduce((sum, item) => sum + item.archived, 0),
+      remaining,
+      at: attempt.at
     };
+    writeImportHistory({ ...summary, rollback }, { ...record, rollback, rollbacks });
+
+    res.json({ importId: summary.id, ...rollback, attempt });
+  } catch (error) {
+    console.error('Error rolling back import:', error);
+    res.status(500).json({ message: `Error rolling back import: ${error.message}` });
+  } finally {
+    rollbacksInProgress.delete(summary.id);
+  }
+});
+
+// One CSV field, quoted when it holds a separator, quote or line break
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Failure report: failed rows with their columns, error and line, ready to re-upload as a retry.
+app.get('/import-history/:id/failures.csv', (req, res) => {
+  const summary = importHistory.get(req.params.id);
+  if (!summary) return res.status(404).json({ message: 'Import not found.' });
+
+  const record = readImportRecord(req.params.id);
+  if (!record) return res.status(409).json({ message: unfinishedImportMessage(summary) });
+
+  const failed = record.rows.filter(row => row.status === 'failed');
+  if (failed.length === 0) return res.status(404).json({ message: 'This import has no failed rows.' });
+
+  // Columns in the order of the uploaded file, then the report columns
+  const columns = [...new Set(failed.flatMap(row => Object.keys(row.data || {})))];
+  const header = columns.concat(FAILURE_REPORT_COLUMNS.line, FAILURE_REPORT_COLUMNS.error, FAILURE_REPORT_COLUMNS.importId);
+  const lines = failed.map(row => columns.map(column => row.data?.[column])
+    .concat(row.line, row.error, summary.id)
+    .map(csvField)
+    .join(','));
+
+  const baseName = path.basename(summary.fileName || 'import', path.extname(summary.fileName || ''));
+  res.attachment(`${baseName}-failures.csv`).send([header.map(csvField).join(',')].concat(lines).join('\r\n') + '\r\n');
+});
+
+// Filters /cases accepts as query parameters and passes on in the API's filter syntax
+const IN_RANGES = ['IN', 'NOT IN'];
+const CASE_FILTERS = {
+  lit_ids: { range: 'lit_range', ids: true },
+  status_ids: { range: 'status_range', ids: true },
+  states: { range: 'state_range', values: US_STATES },
+  portal_status: { range: 'portal_status_range', values: PORTAL_STATUSES.concat(['email sent', 'contact client']) },
+  referral_status: { values: ['accepted', 'awaiting', 'rejeced', 'none'] }, // "rejeced" is spelled as the API documents it
+  start_date: { date: true },
+  end_date: { date: true },
+  injury_start_date: { date: true },
+  injury_end_date: { date: true }
+};
+
+// Search fields and the ranges each allows; only some take a comma-separated list of values
+const SEARCH_FIELDS = {
+  id: { ranges: ['EQUALS', 'NOT-EQUALS'], multiple: true },
+  name: { ranges: ['EQUALS', 'NOT-EQUALS', 'IN', 'NOT IN', 'STARTS WITH', 'ENDS WITH', 'EMPTY', 'FILLED'], multiple: false },
+  email: { ranges: ['EQUALS', 'NOT-EQUALS', 'IN', 'NOT IN', 'STARTS WITH', 'ENDS WITH', 'EMPTY', 'FILLED'], multiple: true },
+  phone: { ranges: ['EQUALS', 'NOT-EQUALS', 'IN', 'NOT IN', 'STARTS WITH', 'ENDS WITH', 'EMPTY', 'FILLED'], multiple: true }
+};
+
+// Comma-separated query values without the characters the filter syntax reserves
+const queryList = (value) => [].concat(value || []).join(',').split(',').map(item => item.replace(/[|:]/g, '').trim()).filter(Boolean);
+
+// filter= string from the query, e.g. "lit_ids:15,24|lit_range:NOT IN|start_date:2024-01-01"
+function buildCaseFilter(query) {
+  const parts = [];
+
+  for (const [name, options] of Object.entries(CASE_FILTERS)) {
+    if (options.date) {
+      if (!query[name]) continue;
+      if (!isValidDate(query[name])) throw new Error(`${name} must be a date (YYYY-MM-DD)`);
+      parts.push(`${name}:${query[name]}`);
+      continue;
+    }
+
+    const values = queryList(query[name]);
+    if (values.length === 0) continue;
+    if (options.ids && values.some(value => !/^\d+$/.test(value))) throw new Error(`${name} must be numeric IDs`);
+    if (options.values) {
+      const unknown = values.filter(value => !options.values.includes(value));
+      if (unknown.length > 0) throw new Error(`Unknown ${name}: ${unknown.join(', ')}`);
+    }
+    parts.push(`${name}:${values.join(',')}`);
 
-    for (let i = 0; i < rows.length; i++) {
-      const result = await createCase(rows[i], i);
-      if (result.success) processed.push(result);
-      else failures.push(result);
-      if (i < rows.length - 1) await delay(RATE_LIMIT_DELAY);
+    const range = query[options.range];
+    if (options.range && range) {
+      if (!IN_RANGES.includes(range)) throw new Error(`${options.range} must be one of: ${IN_RANGES.join(', ')}`);
+      parts.push(`${options.range}:${range}`);
     }
+  }
+
+  return parts.join('|');
+}
+
+// search= string from search_field, search_value and search_range, e.g. "smi:name:STARTS WITH"
+function buildCaseSearch(query) {
+  if (!query.search_field) return '';
+
+  const field = SEARCH_FIELDS[query.search_field];
+  if (!field) throw new Error(`search_field must be one of: ${Object.keys(SEARCH_FIELDS).join(', ')}`);
+
+  const range = query.search_range || 'EQUALS';
+  if (!field.ranges.includes(range)) throw new Error(`search_range for ${query.search_field} must be one of: ${field.ranges.join(', ')}`);
+
+  // EMPTY and FILLED take no value
+  if (['EMPTY', 'FILLED'].includes(range)) return `:${query.search_field}:${range}`;
+
+  const values = field.multiple ? queryList(query.search_value) : [String(query.search_value || '').replace(/[|:,]/g, '').trim()].filter(Boolean);
+  if (values.length === 0) return '';
+  return `${values.join(',')}:${query.search_field}:${range}`;
+}
+
+// Filter values and search ranges for the query builder
+app.get('/case-filters', withAccount, (req, res) => {
+  const filters = {};
+  Object.entries(CASE_FILTERS).forEach(([name, options]) => {
+    filters[name] = { range: options.range || null, ranges: options.range ? IN_RANGES : [], values: options.values || null, date: !!options.date };
+  });
+  res.json({ filters, searchFields: SEARCH_FIELDS, portalStatuses: PORTAL_STATUSES, referredFromCompanyUuid: req.account.referredFromCompanyUuid || null });
+});
+
+const CASES_PAGE_SIZE = 100;
+const MAX_CASES_PAGE_SIZE = 1000;
+
+// GET endpoint to filter/query cases, one page at a time. `cursor` is the nextCursor of the previous page.
+app.get('/cases', withAccount, async (req, res) => {
+  if (!req.account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
+
+  const length = Math.min(parseInt(req.query.length, 10) || CASES_PAGE_SIZE, MAX_CASES_PAGE_SIZE);
+  const page = parseInt(req.query.cursor, 10) || 0;
+  const params = { length, page };
+  try {
+    const filter = buildCaseFilter(req.query);
+    const search = buildCaseSearch(req.query);
+    if (filter) params.filter = filter;
+    if (search) params.search = search;
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const response = await callApi({ account: req.account, path: '/cases', endpoint: 'list-cases', params });
+    const cases = response.data.data || [];
+    const meta = response.data.meta || {};
 
     res.json({
-      message: `Processed ${total} rows. Success: ${processed.length}, Failures: ${failures.length}`,
-      failures: failures.map(f => ({ row: f.index + 1, error: f.error }))
+      cases,
+      total: meta.recordsFiltered ?? null,
+      page,
+      nextCursor: cases.length > 0 && meta.nextPage !== null && meta.nextPage !== undefined ? String(meta.nextPage) : null,
+      filter: params.filter || '',
+      search: params.search || ''
     });
   } catch (error) {
-    res.status(500).json({ message: `Error processing cases: ${error.message}`, stack: error.stack });
+    res.status(500).json({ message: 'Error fetching cases', error: error.message });
   }
 });
 
-// GET endpoint to filter/query cases
-app.get('/cases', async (req, res) => {
-  if (!API_KEY) return res.status(500).json({ message: 'API key not configured.' });
+// Forward a JSON case resource from the API, keeping its status code on errors
+async function sendCaseResource(req, res, request, description) {
+  if (!req.account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
 
   try {
-    const params = { limit: 100 };
-
-    if (req.query.litigationId) params.litigation_id = req.query.litigationId;
-    if (req.query.statusId) params.status_id = req.query.statusId;
-    if (req.query.firstName) params.fname_injured = req.query.firstName;
-    if (req.query.lastName) params.lname_injured = req.query.lastName;
-    if (req.query.emailAddress) params.email_injured = req.query.emailAddress;
-    if (req.query.phoneNumber) params.phone = req.query.phoneNumber;
-    if (req.query.createdAtStart) params.created_at_start = req.query.createdAtStart;
-    if (req.query.createdAtEnd) params.created_at_end = req.query.createdAtEnd;
-    if (req.query.tag) params.tag = req.query.tag;
-    if (COMPANY_UUID) params.company_uuid = COMPANY_UUID;
-
-    let allCases = [];
-    let page = 0;
-    let hasMorePages = true;
-    const maxRequests = 500;
-    let requestCount = 0;
-
-    while (hasMorePages && requestCount < maxRequests) {
-      params.page = page;
-      requestCount++;
-
-      const response = await axios.get(`${API_BASE_URL}/cases`, {
-        headers: { 'API-Key': API_KEY, 'Content-Type': 'application/json' },
-        params,
-        timeout: 30000
-      });
+    const response = await callApi({ ...request, account: req.account });
+    res.json(response.data);
+  } catch (error) {
+    console.error(`Error fetching ${description}:`, error.message);
+    res.status(error.response?.status || 500).json({ message: `Error fetching ${description}`, error: error.response?.data?.message || error.message });
+  }
+}
+
+// Stream a document download from the API to the browser
+async function streamCaseDocuments(req, res, request, fallbackName) {
+  if (!req.account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
+
+  try {
+    const response = await callApi({ ...request, account: req.account, endpoint: 'download-documents', responseType: 'stream', timeout: 120000 });
+    res.set('Content-Type', response.headers['content-type'] || 'application/octet-stream');
+    res.set('Content-Disposition', response.headers['content-disposition'] || `attachment; filename="${fallbackName.replace(/[^\w.-]/g, '_')}"`);
+    response.data.pipe(res);
+  } catch (error) {
+    console.error('Error downloading documents:', error.message);
+    res.status(error.response?.status || 500).json({ message: 'Error downloading documents', error: error.message });
+  }
+}
+
+// Full case record, with its conversation and notes nested
+app.get('/cases/:uuid', withAccount, (req, res) => {
+  const uuid = encodeURIComponent(req.params.uuid);
+  sendCaseResource(req, res, { path: `/cases/${uuid}`, endpoint: 'get-case', params: { nested: 1 } }, 'case');
+});
+
+app.get('/cases/:uuid/notes', withAccount, (req, res) => {
+  const uuid = encodeURIComponent(req.params.uuid);
+  sendCaseResource(req, res, { path: `/cases/${uuid}/notes`, endpoint: 'case-notes' }, 'case notes');
+});
+
+app.get('/cases/:uuid/conversation', withAccount, (req, res) => {
+  const uuid = encodeURIComponent(req.params.uuid);
+  sendCaseResource(req, res, { path: `/cases/${uuid}/conversation`, endpoint: 'case-conversation' }, 'case conversation');
+});
 
-      const cases = response.data.data || [];
-      if (cases.length > 0) allCases = allCases.concat(cases);
+// ZIP of all completed documents of a case
+app.get('/cases/:uuid/documents', withAccount, (req, res) => {
+  const uuid = encodeURIComponent(req.params.uuid);
+  streamCaseDocuments(req, res, { path: `/cases/${uuid}/documents` }, `case-${req.params.uuid}-documents.zip`);
+});
+
+app.get('/cases/:uuid/documents/:documentId', withAccount, (req, res) => {
+  const uuid = encodeURIComponent(req.params.uuid);
+  const documentId = encodeURIComponent(req.params.documentId);
+  streamCaseDocuments(req, res, { path: `/cases/${uuid}/documents/${documentId}` }, `document-${req.params.documentId}.pdf`);
+});
+
+// Bulk actions on selected cases. Each action turns a case UUID into API calls and an outcome.
+const MAX_BULK_CASES = 1000;
+
+// Tags of an existing case ({ id, hash, name })
+async function fetchCaseTags(uuid, account) {
+  const response = await callApi({ account, path: `/cases/${encodeURIComponent(uuid)}`, endpoint: 'get-case' });
+  return response.data.data?.tags || [];
+}
+
+const updateCase = (uuid, data, account) => callApi({ account, method: 'put', path: `/cases/${encodeURIComponent(uuid)}`, endpoint: 'update-case', data });
+
+const BULK_ACTIONS = {
+  status: {
+    prepare(value, account) {
+      const statusId = resolveReferenceId('status', value, account) ?? (/^\d+$/.test(String(value)) ? parseInt(value, 10) : null);
+      if (statusId === null) throw new Error(`Unknown status: ${value}`);
+      return statusId;
+    },
+    async apply(uuid, statusId, account) {
+      await updateCase(uuid, { status_id: statusId }, account);
+      return { status: 'updated' };
+    }
+  },
+  portal_status: {
+    prepare(value) {
+      if (!PORTAL_STATUSES.includes(value)) throw new Error(`portal_status must be one of: ${PORTAL_STATUSES.join(', ')}`);
+      return value;
+    },
+    async apply(uuid, portalStatus, account) {
+      await updateCase(uuid, { portal_status: portalStatus }, account);
+      return { status: 'updated' };
+    }
+  },
+  'add-tags': {
+    prepare(value) {
+      const tags = parseTagList(value);
+      const invalid = tags.filter(tag => !TAG_UUID_PATTERN.test(tag));
+      if (invalid.length > 0) throw new Error(`Not a tag UUID: ${invalid.join(', ')}`);
+      return tags;
+    },
+    async apply(uuid, tags, account) {
+      const current = await fetchCaseTags(uuid, account);
+      const known = current.flatMap(tagNames);
+      const added = tags.filter(tag => !known.includes(tag.toLowerCase()));
+      if (added.length === 0) return { status: 'unchanged' };
+      await updateCase(uuid, { tags: current.map(tagKey).concat(added) }, account);
+      return { status: 'updated', changed: added };
+    }
+  },
+  'remove-tags': {
+    prepare: (value) => parseTagList(value),
+    async apply(uuid, tags, account) {
+      const wanted = tags.map(tag => tag.toLowerCase());
+      const current = await fetchCaseTags(uuid, account);
+      const matches = (tag) => tagNames(tag).some(name => wanted.includes(name));
+      const removed = current.filter(matches);
+      if (removed.length === 0) return { status: 'unchanged' };
+      await updateCase(uuid, { tags: current.filter(tag => !matches(tag)).map(tagKey) }, account);
+      return { status: 'updated', changed: removed.map(tag => tag.name || tagKey(tag)) };
+    }
+  },
+  refer: {
+    // The referring company defaults to the account's referredFromCompanyUuid
+    prepare(value, account) {
+      const referral = {
+        referred_from_company_uuid: String(value?.referred_from_company_uuid || account.referredFromCompanyUuid || '').trim(),
+        referred_to_company_uuid: String(value?.referred_to_company_uuid || '').trim()
+      };
+      const missing = Object.keys(referral).filter(field => !referral[field]);
+      if (missing.length > 0) throw new Error(`Missing ${missing.join(', ')}`);
+      return referral;
+    },
+    async apply(uuid, referral, account) {
+      await callApi({ account, method: 'put', path: `/cases/${encodeURIComponent(uuid)}/referral`, endpoint: 'refer-case', data: referral });
+      return { status: 'referred' };
+    }
+  },
+  archive: {
+    prepare: () => null,
+    async apply(uuid, prepared, account) {
+      await callApi({ account, method: 'delete', path: `/cases/${encodeURIComponent(uuid)}`, endpoint: 'archive-case' });
+      return { status: 'archived' };
+    }
+  }
+};
+
+// Tags can be named by ID, hash or name
+function tagNames(tag) {
+  if (!tag || typeof tag !== 'object') return [String(tag).toLowerCase()];
+  return [tag.id, tag.hash, tag.name].filter(name => name !== undefined && name !== null).map(name => String(name).toLowerCase());
+}
 
-      hasMorePages = cases.length > 0 && (cases.length === params.limit || response.data.hasMore === true);
-      page++;
-      if (hasMorePages) await delay(200);
+// Apply a bulk action to each case, a few at a time; a failing case does not stop the others
+async function runBulkAction(handler, uuids, prepared, account) {
+  const limit = (await loadPLimit())(CREATE_CONCURRENCY);
+  return Promise.all([...new Set(uuids)].map(uuid => limit(async () => {
+    try {
+      return { uuid, ...(await handler.apply(uuid, prepared, account)) };
+    } catch (error) {
+      return { uuid, status: 'failed', error: error.response?.data?.message || error.response?.data?.error || error.message };
     }
+  })));
+}
+
+// Tags are sent as their UUID or hash, never by name
+const TAG_UUID_PATTERN = /^([0-9a-f]{40}|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+function parseTagList(value) {
+  const tags = [].concat(value || []).join(',').split(',').map(tag => tag.trim()).filter(Boolean);
+  if (tags.length === 0) throw new Error('At least one tag is required');
+  return tags;
+}
+
+// Apply one action to many cases, a few at a time within the rate limits, and report each case
+app.post('/cases/bulk', withAccount, async (req, res) => {
+  if (!req.account.apiKey) return res.status(500).json({ message: 'API key not configured.' });
+
+  const { action, uuids, value } = req.body;
+  const handler = BULK_ACTIONS[action];
+  if (!handler) return res.status(400).json({ message: `Unknown action: ${action}. Use one of: ${Object.keys(BULK_ACTIONS).join(', ')}` });
+  if (!Array.isArray(uuids) || uuids.length === 0) return res.status(400).json({ message: 'No cases selected.' });
+  if (uuids.length > MAX_BULK_CASES) return res.status(400).json({ message: `At most ${MAX_BULK_CASES} cases can be changed at once.` });
+
+  let prepared;
+  try {
+    prepared = handler.prepare(value, req.account);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
 
-    res.json({ cases: allCases, total: allCases.length, requestsMade: requestCount });
+  try {
+    const results = await runBulkAction(handler, uuids, prepared, req.account);
+    const failed = results.filter(result => result.status === 'failed').length;
+    res.json({
+      action,
+      total: results.length,
+      succeeded: results.length - failed,
+      failed,
+      results
+    });
   } catch (error) {
-    res.status(500).json({ message: 'Error fetching cases', error: error.message });
+    console.error('Error in /cases/bulk endpoint:', error);
+    res.status(500).json({ message: `Error applying ${action}: ${error.message}` });
   }
 });
 
 // Start server
-app.listen(port);
\ No newline at end of file
+app.listen(port);
+
+// Fill the .env account's reference data cache on first start
+if (API_KEY && !getReferenceData(ENV_ACCOUNT).refreshedAt) {
+  refreshReferenceData(ENV_ACCOUNT).catch(err => console.error('[ERROR] Failed to load reference data:', err.message));
+}
\ No newline at end of file